@@ -0,0 +1,332 @@
+// Pluggable AI provider layer
+// Every provider exposes the same shape:
+//   { name, isConfigured(), generate({ task, prompt, system, history, input, settings }) }
+// history is an optional list of { role: 'user' | 'assistant', content } turns preceding prompt.
+// generate resolves with { text, model }, or null when the provider has nothing useful to say.
+// Providers that can stream also expose stream(request), an async iterable of text chunks.
+// createProviderChain walks the configured providers in order until one answers.
+
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { flattenConversation } = require('./chatContext');
+
+// Reject a promise that takes longer than the task timeout
+function withTimeout(promise, timeoutMs, label) {
+    if (!timeoutMs || timeoutMs <= 0) return promise;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Google Gemini provider
+function createGeminiProvider({ apiKey, model }) {
+    function getModel(settings, system) {
+        const genAI = new GoogleGenerativeAI(apiKey);
+        return genAI.getGenerativeModel({
+            model: settings.model || model,
+            systemInstruction: system || undefined,
+            generationConfig: {
+                temperature: settings.temperature,
+                maxOutputTokens: settings.maxOutputTokens
+            }
+        }, { timeout: settings.timeoutMs });
+    }
+
+    // Real multi-turn chat: Gemini calls the assistant role "model"
+    function startChat(generativeModel, history) {
+        return generativeModel.startChat({
+            history: history.map(turn => ({
+                role: turn.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: turn.content }]
+            }))
+        });
+    }
+
+    return {
+        name: 'gemini',
+        model,
+        isConfigured: () => !!apiKey,
+        async generate({ prompt, system, history, settings }) {
+            const generativeModel = getModel(settings, system);
+
+            let result;
+            if (history && history.length > 0) {
+                result = await startChat(generativeModel, history).sendMessage(prompt);
+            } else {
+                result = await generativeModel.generateContent(prompt);
+            }
+            const response = await result.response;
+            return { text: response.text().trim(), model: settings.model || model };
+        },
+        async *stream({ prompt, system, history, settings }) {
+            const generativeModel = getModel(settings, system);
+
+            let result;
+            if (history && history.length > 0) {
+                result = await startChat(generativeModel, history).sendMessageStream(prompt);
+            } else {
+                result = await generativeModel.generateContentStream(prompt);
+            }
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) yield text;
+            }
+        }
+    };
+}
+
+// Hugging Face Inference API provider
+function createHuggingFaceProvider({ apiToken, model, baseUrl }) {
+    return {
+        name: 'huggingface',
+        model,
+        isConfigured: () => !!apiToken,
+        async generate({ prompt, system, history, settings }) {
+            const modelName = settings.model || model;
+            const response = await axios.post(
+                `${baseUrl}/${modelName}`,
+                {
+                    // The text-generation API has no chat roles, so send the conversation as one transcript
+                    inputs: flattenConversation({ system, history, prompt }),
+                    parameters: {
+                        max_new_tokens: settings.maxOutputTokens,
+                        temperature: settings.temperature,
+                        top_p: 0.9,
+                        return_full_text: false
+                    }
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${apiToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: settings.timeoutMs
+                }
+            );
+
+            if (response.data && response.data[0] && response.data[0].generated_text) {
+                return { text: response.data[0].generated_text.trim(), model: modelName };
+            }
+            return null;
+        }
+    };
+}
+
+// OpenAI-compatible chat completions provider (OpenAI, a local Ollama at http://localhost:11434/v1, etc.)
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model }) {
+    function buildRequest({ prompt, system, history = [], settings }, stream) {
+        const messages = [];
+        if (system) messages.push({ role: 'system', content: system });
+        history.forEach(turn => messages.push({ role: turn.role, content: turn.content }));
+        messages.push({ role: 'user', content: prompt });
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+        return {
+            url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+            body: {
+                model: settings.model || model,
+                messages,
+                temperature: settings.temperature,
+                max_tokens: settings.maxOutputTokens,
+                stream
+            },
+            options: { headers, timeout: settings.timeoutMs, responseType: stream ? 'stream' : 'json' }
+        };
+    }
+
+    return {
+        name: 'openai',
+        model,
+        isConfigured: () => !!baseUrl,
+        async generate(request) {
+            const { url, body, options } = buildRequest(request, false);
+            const response = await axios.post(url, body, options);
+
+            const choice = response.data && response.data.choices && response.data.choices[0];
+            if (choice && choice.message && choice.message.content) {
+                return { text: choice.message.content.trim(), model: body.model };
+            }
+            return null;
+        },
+        async *stream(request) {
+            const { url, body, options } = buildRequest(request, true);
+            const response = await axios.post(url, body, options);
+
+            // The response body is itself an SSE stream of "data: {json}" lines ending with "data: [DONE]"
+            let buffer = '';
+            for await (const data of response.data) {
+                buffer += data.toString('utf8');
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const trimmed = line.trim();
+                    if (!trimmed.startsWith('data:')) continue;
+
+                    const payload = trimmed.slice(5).trim();
+                    if (payload === '[DONE]') return;
+
+                    const choice = JSON.parse(payload).choices[0];
+                    if (choice && choice.delta && choice.delta.content) {
+                        yield choice.delta.content;
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Deterministic offline provider
+// Handlers are plain functions keyed by task name that receive the raw task input,
+// so the server can plug in its rule-based and pattern-based fallbacks.
+function createOfflineProvider(handlers = {}) {
+    return {
+        name: 'offline',
+        model: 'rule-based',
+        isConfigured: () => true,
+        async generate({ task, input }) {
+            const handler = handlers[task];
+            if (!handler) return null;
+
+            const output = await handler(input);
+            if (output === null || output === undefined) return null;
+            return {
+                text: typeof output === 'string' ? output : JSON.stringify(output),
+                model: 'rule-based'
+            };
+        }
+    };
+}
+
+// Build the provider list from config in the configured order
+function createProvidersFromConfig(aiConfig, offlineHandlers) {
+    const factories = {
+        gemini: () => createGeminiProvider(aiConfig.gemini),
+        huggingface: () => createHuggingFaceProvider(aiConfig.huggingface),
+        openai: () => createOpenAICompatibleProvider(aiConfig.openai),
+        offline: () => createOfflineProvider(offlineHandlers)
+    };
+
+    return aiConfig.providers
+        .filter(name => {
+            if (!factories[name]) {
+                console.log(`⚠️ Unknown AI provider "${name}" in AI_PROVIDERS, skipping`);
+                return false;
+            }
+            return true;
+        })
+        .map(name => factories[name]());
+}
+
+// Ordered fallback chain over a list of providers
+function createProviderChain({ providers, tasks, retryDelayMs = 500 }) {
+    async function callWithRetries(provider, request, settings) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= settings.retries; attempt++) {
+            try {
+                return await withTimeout(
+                    provider.generate({ ...request, settings }),
+                    settings.timeoutMs,
+                    `${provider.name} ${request.task}`
+                );
+            } catch (error) {
+                lastError = error;
+                console.log(`${provider.name} attempt ${attempt + 1} for ${request.task} failed:`, error.message);
+                if (attempt < settings.retries) {
+                    await sleep(retryDelayMs * Math.pow(2, attempt));
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Resolves with { text, provider, model } from the first provider that answers, or null
+    async function generate(task, { prompt, system, history, input, providers: only } = {}) {
+        const settings = tasks[task];
+        if (!settings) {
+            throw new Error(`Unknown AI task: ${task}`);
+        }
+
+        for (const provider of providers) {
+            if (only && !only.includes(provider.name)) continue;
+            if (!provider.isConfigured()) continue;
+
+            try {
+                const result = await callWithRetries(provider, { task, prompt, system, history, input }, settings);
+                if (result && result.text) {
+                    return { text: result.text, provider: provider.name, model: result.model };
+                }
+            } catch (error) {
+                console.log(`${provider.name} provider not available for ${task}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    // Resolves with { provider, model, chunks } from the first provider that starts streaming, or null.
+    // A provider only counts as started once its first chunk arrives, so early failures fall through.
+    async function stream(task, { prompt, system, history, input } = {}) {
+        const settings = tasks[task];
+        if (!settings) {
+            throw new Error(`Unknown AI task: ${task}`);
+        }
+
+        for (const provider of providers) {
+            if (!provider.stream || !provider.isConfigured()) continue;
+
+            try {
+                const iterator = provider.stream({ task, prompt, system, history, input, settings })[Symbol.asyncIterator]();
+                const label = `${provider.name} ${task} stream`;
+                const first = await withTimeout(iterator.next(), settings.timeoutMs, label);
+                if (first.done) continue;
+
+                const chunks = (async function* () {
+                    yield first.value;
+                    while (true) {
+                        const next = await withTimeout(iterator.next(), settings.timeoutMs, label);
+                        if (next.done) return;
+                        yield next.value;
+                    }
+                })();
+
+                return { provider: provider.name, model: settings.model || provider.model, chunks };
+            } catch (error) {
+                console.log(`${provider.name} provider could not stream ${task}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        generate,
+        stream,
+        providers: () => providers.map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured()
+        }))
+    };
+}
+
+module.exports = {
+    withTimeout,
+    createGeminiProvider,
+    createHuggingFaceProvider,
+    createOpenAICompatibleProvider,
+    createOfflineProvider,
+    createProvidersFromConfig,
+    createProviderChain
+};
@@ -0,0 +1,214 @@
+// Authentication and per-user authorization
+// Two kinds of credentials are accepted:
+//   - API keys (X-API-Key header) for server-to-server clients, which may act on behalf of any user
+//   - HS256-signed JWT bearer tokens for app users, whose "sub" claim is the user ID
+// Every authenticated request gets req.auth = { type: 'user' | 'service', userId, clientId }.
+
+const crypto = require('crypto');
+
+function base64UrlEncode(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function base64UrlDecodeJson(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function hmacSha256(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Constant-time comparison of two strings
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Sign a JWT with HS256; expiresIn is in seconds
+function signToken(claims, secret, { expiresIn = 3600, issuer } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'HS256', typ: 'JWT' };
+    const payload = { ...claims, iat: now, exp: now + expiresIn };
+    if (issuer) payload.iss = issuer;
+
+    const unsigned = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+    return `${unsigned}.${hmacSha256(unsigned, secret)}`;
+}
+
+// Verify a HS256 JWT and return its payload, or throw with the reason it was rejected
+function verifyToken(token, secret, { issuer, clockToleranceSec = 30 } = {}) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    let header;
+    let payload;
+    try {
+        header = base64UrlDecodeJson(encodedHeader);
+        payload = base64UrlDecodeJson(encodedPayload);
+    } catch (error) {
+        throw new Error('Malformed token');
+    }
+
+    // Only HS256 is accepted; never trust "none" or an algorithm chosen by the caller
+    if (header.alg !== 'HS256') {
+        throw new Error('Unsupported token algorithm');
+    }
+    if (!safeEqual(signature, hmacSha256(`${encodedHeader}.${encodedPayload}`, secret))) {
+        throw new Error('Invalid token signature');
+    }
+
+    // signToken always sets exp, so a token without one was not issued here and would never expire
+    if (typeof payload.exp !== 'number') {
+        throw new Error('Token has no expiry');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if (now > payload.exp + clockToleranceSec) {
+        throw new Error('Token expired');
+    }
+    if (typeof payload.nbf === 'number' && now + clockToleranceSec < payload.nbf) {
+        throw new Error('Token not yet valid');
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw new Error('Unexpected token issuer');
+    }
+    if (!payload.sub) {
+        throw new Error('Token has no subject');
+    }
+
+    return payload;
+}
+
+// Parse "key1:client-a,key2:client-b" into a list of { key, clientId }
+function parseApiKeys(raw) {
+    if (!raw) return [];
+    return raw.split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map((item, index) => {
+            const separator = item.indexOf(':');
+            return separator === -1
+                ? { key: item, clientId: `client-${index + 1}` }
+                : { key: item.slice(separator + 1), clientId: item.slice(0, separator) };
+        });
+}
+
+function sendAuthError(res, status, error) {
+    if (status === 401) {
+        res.set('WWW-Authenticate', 'Bearer realm="healtheye"');
+    }
+    return res.status(status).json({ success: false, error });
+}
+
+// Build the authentication middleware and helpers from auth config
+function createAuth({ jwtSecret, jwtIssuer, tokenTtlSec, apiKeys, disabled }) {
+    const keys = parseApiKeys(apiKeys);
+
+    // Resolve the caller from the request headers; returns null when no credentials were sent
+    function identify(req) {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const match = keys.find(entry => safeEqual(entry.key, apiKey));
+            if (!match) throw new Error('Invalid API key');
+            // Services name the user they act for, either in a header or in the request itself
+            const userId = req.get('X-User-Id') || null;
+            return { type: 'service', clientId: match.clientId, userId };
+        }
+
+        const header = req.get('Authorization') || '';
+        const bearer = header.match(/^Bearer\s+(.+)$/i);
+        if (bearer) {
+            if (!jwtSecret) throw new Error('Bearer tokens are not enabled');
+            const payload = verifyToken(bearer[1].trim(), jwtSecret, { issuer: jwtIssuer });
+            return { type: 'user', userId: String(payload.sub), clientId: null, claims: payload };
+        }
+
+        return null;
+    }
+
+    // Require a valid API key or bearer token
+    function authenticate(req, res, next) {
+        if (disabled) {
+            // Local development only: trust the userId the client sends, as before auth existed
+            const userId = req.params.userId || (req.body && req.body.userId) || 'anonymous';
+            req.auth = { type: 'service', clientId: 'auth-disabled', userId };
+            return next();
+        }
+
+        try {
+            const auth = identify(req);
+            if (!auth) {
+                return sendAuthError(res, 401, 'Authentication required');
+            }
+            req.auth = auth;
+            next();
+        } catch (error) {
+            return sendAuthError(res, 401, error.message);
+        }
+    }
+
+    // Like authenticate, but lets requests without any credentials through with req.auth = null
+    function optionalAuthenticate(req, res, next) {
+        if (!req.get('X-API-Key') && !req.get('Authorization')) {
+            req.auth = null;
+            return next();
+        }
+        return authenticate(req, res, next);
+    }
+
+    // The user a request acts for: the token subject, or for services the user they name
+    // Returns null when a user token asks for somebody else's data.
+    function resolveUserId(req, requestedUserId) {
+        const auth = req.auth;
+        if (auth.type === 'user') {
+            return !requestedUserId || requestedUserId === auth.userId ? auth.userId : null;
+        }
+        return requestedUserId || auth.userId || 'anonymous';
+    }
+
+    // Reject access to another user's resources addressed by a route parameter
+    function authorizeUserParam(paramName = 'userId') {
+        return (req, res, next) => {
+            const userId = resolveUserId(req, req.params[paramName]);
+            if (!userId) {
+                return sendAuthError(res, 403, 'You do not have access to this user\'s data');
+            }
+            req.userId = userId;
+            next();
+        };
+    }
+
+    // Whether the caller may read or change a resource owned by ownerId
+    function canAccess(req, ownerId) {
+        if (!req.auth) return false;
+        if (req.auth.type === 'service') return true;
+        return !!ownerId && ownerId === req.auth.userId;
+    }
+
+    function issueToken(userId, extraClaims = {}) {
+        if (!jwtSecret) throw new Error('JWT_SECRET is not configured');
+        return signToken({ ...extraClaims, sub: String(userId) }, jwtSecret, { expiresIn: tokenTtlSec, issuer: jwtIssuer });
+    }
+
+    return {
+        authenticate,
+        optionalAuthenticate,
+        authorizeUserParam,
+        resolveUserId,
+        canAccess,
+        issueToken,
+        sendAuthError,
+        enabled: !disabled,
+        hasCredentials: keys.length > 0 || !!jwtSecret
+    };
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    parseApiKeys,
+    createAuth
+};
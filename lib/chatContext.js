@@ -0,0 +1,98 @@
+// Multi-turn chat context helpers
+// Picks the most recent turns that fit the turn/token budget and summarizes the rest
+
+const DISCLAIMER_PATTERN = /\n\n⚠️ \*\*(?:Important|Remember)\*\*:[\s\S]*$/;
+
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Split a reply into its body and the trailing disclaimer, if any
+function splitDisclaimer(text) {
+    const match = text.match(DISCLAIMER_PATTERN);
+    if (!match) return { body: text, disclaimer: null };
+    return { body: text.slice(0, match.index), disclaimer: match[0].trim() };
+}
+
+// Convert stored history entries into provider-neutral chat turns
+function toChatTurns(entries) {
+    return entries.map(entry => ({
+        role: entry.sender === 'bot' ? 'assistant' : 'user',
+        // The disclaimer is appended to every bot reply; no need to spend tokens on it
+        content: entry.sender === 'bot' ? splitDisclaimer(entry.message).body.trim() : entry.message
+    }));
+}
+
+// Split turns into the recent window that fits the budget and the older overflow
+function selectRecentTurns(turns, { maxTurns, maxTokens }) {
+    const recent = [];
+    let tokens = 0;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const turnTokens = estimateTokens(turns[i].content);
+        if (recent.length >= maxTurns || tokens + turnTokens > maxTokens) break;
+        recent.unshift(turns[i]);
+        tokens += turnTokens;
+    }
+
+    // Chat APIs expect the history to open with a user turn
+    while (recent.length > 0 && recent[0].role !== 'user') {
+        recent.shift();
+    }
+
+    return {
+        recent,
+        older: turns.slice(0, turns.length - recent.length),
+        tokens
+    };
+}
+
+// Prompt asking a model to fold older turns into a running summary
+function buildSummaryPrompt(previousSummary, turns, maxWords) {
+    const transcript = turns
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Dr. Veda'}: ${turn.content}`)
+        .join('\n');
+
+    return `Summarize this conversation between a user and Dr. Veda, a health assistant, in at most ${maxWords} words.
+Keep symptoms, ages, conditions, medications and anything the user said about themselves or family members.
+Write it in third person as plain text with no preamble.
+
+${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New messages:
+${transcript}`;
+}
+
+// Deterministic summary used when no AI provider is available
+function summarizeTurnsOffline({ previousSummary, turns, maxWords }) {
+    const topics = turns
+        .filter(turn => turn.role === 'user')
+        .map(turn => turn.content.replace(/\s+/g, ' ').slice(0, 120));
+
+    const parts = [];
+    if (previousSummary) parts.push(previousSummary);
+    if (topics.length > 0) parts.push(`Earlier the user said: ${topics.join(' | ')}`);
+
+    const words = parts.join(' ').split(/\s+/);
+    return words.length > maxWords ? words.slice(words.length - maxWords).join(' ') : words.join(' ');
+}
+
+// Flatten system text, history and the new message into one prompt for providers without chat support
+function flattenConversation({ system, history = [], prompt }) {
+    const lines = [];
+    if (system) lines.push(system, '');
+    history.forEach(turn => {
+        lines.push(`${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`);
+    });
+    lines.push(history.length > 0 ? `User: ${prompt}` : prompt);
+    return lines.join('\n');
+}
+
+module.exports = {
+    estimateTokens,
+    splitDisclaimer,
+    toChatTurns,
+    selectRecentTurns,
+    buildSummaryPrompt,
+    summarizeTurnsOffline,
+    flattenConversation
+};
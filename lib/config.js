@@ -0,0 +1,180 @@
+// Central configuration read from environment variables
+// Every value has a sensible default so the server still boots with only GEMINI_API_KEY set
+
+function envNumber(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+function envList(name, fallback) {
+    const raw = process.env[name];
+    if (!raw) return fallback;
+    return raw.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Per-task settings: each AI entry point looks up its own timeout, retries and generation options
+function taskConfig(prefix, defaults) {
+    return {
+        timeoutMs: envNumber(`AI_${prefix}_TIMEOUT_MS`, defaults.timeoutMs),
+        retries: envNumber(`AI_${prefix}_RETRIES`, defaults.retries),
+        temperature: envNumber(`AI_${prefix}_TEMPERATURE`, defaults.temperature),
+        maxOutputTokens: envNumber(`AI_${prefix}_MAX_TOKENS`, defaults.maxOutputTokens),
+        // Optional model override applied to every provider for this task
+        model: process.env[`AI_${prefix}_MODEL`] || null
+    };
+}
+
+const config = {
+    ai: {
+        // Providers are tried in this order until one returns a usable answer
+        providers: envList('AI_PROVIDERS', ['gemini', 'openai', 'huggingface', 'offline']),
+        retryDelayMs: envNumber('AI_RETRY_DELAY_MS', 500),
+        // Re-prompts asking the model to fix a report analysis that fails schema validation
+        reportRepairAttempts: envNumber('AI_REPORT_REPAIR_ATTEMPTS', 1),
+
+        gemini: {
+            apiKey: process.env.GEMINI_API_KEY,
+            model: process.env.GEMINI_MODEL || 'models/gemini-1.5-flash-latest'
+        },
+        huggingface: {
+            apiToken: process.env.HUGGING_FACE_API_TOKEN,
+            model: process.env.HUGGING_FACE_MODEL || 'microsoft/DialoGPT-medium',
+            baseUrl: process.env.HUGGING_FACE_BASE_URL || 'https://api-inference.huggingface.co/models'
+        },
+        // Any OpenAI-compatible chat completions endpoint (OpenAI, Ollama, LM Studio, vLLM...)
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL,
+            apiKey: process.env.OPENAI_API_KEY,
+            model: process.env.OPENAI_MODEL || 'llama3.1'
+        },
+
+        tasks: {
+            chat: taskConfig('CHAT', { timeoutMs: 15000, retries: 1, temperature: 0.7, maxOutputTokens: 512 }),
+            reportAnalysis: taskConfig('REPORT', { timeoutMs: 25000, retries: 1, temperature: 0.2, maxOutputTokens: 4096 }),
+            healthInsights: taskConfig('INSIGHTS', { timeoutMs: 15000, retries: 1, temperature: 0.5, maxOutputTokens: 1024 }),
+            researchPapers: taskConfig('RESEARCH', { timeoutMs: 20000, retries: 0, temperature: 0.7, maxOutputTokens: 4096 }),
+            summary: taskConfig('SUMMARY', { timeoutMs: 15000, retries: 0, temperature: 0.2, maxOutputTokens: 512 })
+        }
+    },
+
+    // API keys (server-to-server) and JWT bearer tokens (app users)
+    auth: {
+        // Comma-separated "clientId:key" pairs
+        apiKeys: process.env.API_KEYS || '',
+        jwtSecret: process.env.JWT_SECRET || null,
+        jwtIssuer: process.env.JWT_ISSUER || null,
+        tokenTtlSec: envNumber('JWT_TTL_SEC', 24 * 60 * 60),
+        // Local development escape hatch: trust the userId sent by the client
+        disabled: process.env.AUTH_DISABLED === 'true'
+    },
+
+    // Public share links for stored reports
+    shares: {
+        defaultTtlHours: envNumber('SHARE_DEFAULT_TTL_HOURS', 7 * 24),
+        maxTtlHours: envNumber('SHARE_MAX_TTL_HOURS', 90 * 24),
+        // Wrong PIN attempts before a link is locked
+        maxPinAttempts: envNumber('SHARE_MAX_PIN_ATTEMPTS', 5),
+        accessLogLimit: envNumber('SHARE_ACCESS_LOG_LIMIT', 200)
+    },
+
+    // Where conversation history and shared reports are kept: 'file' (JSON files in dir) or 'memory'
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'file',
+        // Vercel only allows writes under /tmp
+        dir: process.env.STORAGE_DIR || (process.env.VERCEL ? '/tmp/healtheye-data' : 'data')
+    },
+
+    // Report uploads
+    uploads: {
+        // Files accepted in one multi-file upload (the pages of one report)
+        maxFiles: envNumber('UPLOAD_MAX_FILES', 10)
+    },
+
+    // OCR for image uploads and scanned PDF pages
+    ocr: {
+        language: process.env.OCR_LANGUAGE || 'eng',
+        // PDF pages whose text layer has fewer characters than this are treated as scans
+        minPageTextChars: envNumber('OCR_MIN_PAGE_TEXT_CHARS', 40),
+        // Embedded images smaller than this many pixels on either side (logos, stamps) are not OCR'd
+        minImageSize: envNumber('OCR_MIN_IMAGE_SIZE', 200),
+        maxPages: envNumber('OCR_MAX_PAGES', 20),
+        timeoutMs: envNumber('OCR_TIMEOUT_MS', 60000),
+        // Warm Tesseract workers kept for reuse; each holds its language data in memory (~100MB for eng)
+        poolSize: envNumber('OCR_POOL_SIZE', 2),
+        maxJobsPerWorker: envNumber('OCR_WORKER_MAX_JOBS', 50),
+        maxQueue: envNumber('OCR_QUEUE_LIMIT', 100),
+        // Uploads read only by OCR below this mean word confidence (0-100) get a "retake photo" hint
+        minConfidence: envNumber('OCR_MIN_CONFIDENCE', 60)
+    },
+
+    // Background processing of uploaded reports
+    jobs: {
+        // Reports processed at the same time; the rest wait in the queue
+        concurrency: envNumber('JOB_CONCURRENCY', 2),
+        // Tries per processing stage, with exponential backoff starting at retryDelayMs
+        maxAttempts: envNumber('JOB_MAX_ATTEMPTS', 3),
+        retryDelayMs: envNumber('JOB_RETRY_DELAY_MS', 2000),
+        // Process uploads before answering instead of in the background. On by default on Vercel,
+        // which freezes a function once it has responded and gives each instance its own /tmp.
+        inline: process.env.JOB_INLINE ? process.env.JOB_INLINE === 'true' : !!process.env.VERCEL,
+        // Finished jobs are kept this long so clients can still fetch the result
+        retentionHours: envNumber('JOB_RETENTION_HOURS', 72)
+    },
+
+    // FHIR export: identifier systems partner EHRs use to match our users and reports
+    fhir: {
+        patientIdentifierSystem: process.env.FHIR_PATIENT_IDENTIFIER_SYSTEM || 'urn:healtheye:user-id',
+        reportIdentifierSystem: process.env.FHIR_REPORT_IDENTIFIER_SYSTEM || 'urn:healtheye:report-id'
+    },
+
+    // HL7 v2 result messages from labs
+    hl7: {
+        // How we identify ourselves in ACKs (MSH-3 and MSH-4), as agreed with the sending lab
+        application: process.env.HL7_APPLICATION || 'HealthEye',
+        facility: process.env.HL7_FACILITY || 'HealthEye',
+        maxMessageKb: envNumber('HL7_MAX_MESSAGE_KB', 512)
+    },
+
+    // Branding of the public report pages; unset values keep the HealthEye defaults (lib/htmlTemplates.js)
+    theme: {
+        primaryColor: process.env.THEME_PRIMARY_COLOR,
+        secondaryColor: process.env.THEME_SECONDARY_COLOR,
+        brandColor: process.env.THEME_BRAND_COLOR,
+        logoText: process.env.THEME_LOGO_TEXT,
+        logoUrl: process.env.THEME_LOGO_URL,
+        tagline: process.env.THEME_TAGLINE,
+        footerTitle: process.env.THEME_FOOTER_TITLE,
+        footerText: process.env.THEME_FOOTER_TEXT
+    },
+
+    // Red-flag triage of chat messages: hotline numbers for chats whose locale names no region
+    triage: {
+        defaultRegion: process.env.TRIAGE_DEFAULT_REGION || 'US'
+    },
+
+    // Outbound webhooks for critical lab results and urgent reports (lib/webhooks.js)
+    webhooks: {
+        // Comma-separated receiver URLs; every event goes to each of them
+        urls: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+        // Shared secret for the HMAC signature; webhooks stay off without it
+        secret: process.env.WEBHOOK_SECRET || '',
+        events: envList('WEBHOOK_EVENTS', ['lab.critical', 'report.urgent']),
+        // Tries per delivery, with exponential backoff starting at retryDelayMs, before it is dead-lettered
+        maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 5),
+        retryDelayMs: envNumber('WEBHOOK_RETRY_DELAY_MS', 5000),
+        timeoutMs: envNumber('WEBHOOK_TIMEOUT_MS', 10000),
+        retentionHours: envNumber('WEBHOOK_RETENTION_HOURS', 72)
+    },
+
+    // Budget for the multi-turn context sent with each /chat message
+    chatContext: {
+        maxTurns: envNumber('CHAT_CONTEXT_MAX_TURNS', 12),
+        maxTokens: envNumber('CHAT_CONTEXT_MAX_TOKENS', 2000),
+        // Older turns are folded into a running summary of at most this many words
+        summaryMaxWords: envNumber('CHAT_SUMMARY_MAX_WORDS', 150)
+    }
+};
+
+module.exports = config;
@@ -0,0 +1,219 @@
+// FHIR R4 export of processed reports
+// A report becomes a Bundle with a DiagnosticReport, one Observation per lab result and, when
+// requested, the Patient they refer to. Entry IDs are derived from the report ID, so exporting the
+// same report twice yields the same entries and an EHR can recognise a repeated import.
+// Observations carry LOINC codes and UCUM units from lib/terminology.js; reports stored before
+// parameters were coded are looked up by name.
+
+const crypto = require('crypto');
+const referenceRanges = require('./referenceRanges');
+const terminology = require('./terminology');
+
+const { LOINC, UCUM } = terminology;
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+
+// Our statuses as HL7 v3 observation interpretation codes; Unknown has none
+const INTERPRETATIONS = {
+    [referenceRanges.STATUS.NORMAL]: { code: 'N', display: 'Normal' },
+    [referenceRanges.STATUS.LOW]: { code: 'L', display: 'Low' },
+    [referenceRanges.STATUS.HIGH]: { code: 'H', display: 'High' },
+    [referenceRanges.STATUS.CRITICAL_LOW]: { code: 'LL', display: 'Critical low' },
+    [referenceRanges.STATUS.CRITICAL_HIGH]: { code: 'HH', display: 'Critical high' },
+    // Statuses only the AI uses
+    Critical: { code: 'AA', display: 'Critical abnormal' },
+    Moderate: { code: 'A', display: 'Abnormal' }
+};
+
+const COMPARATORS = { '<': '<', '<=': '<=', '≤': '<=', '>': '>', '>=': '>=', '≥': '>=' };
+
+const LAB_CATEGORY = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory', display: 'Laboratory' }]
+};
+
+const BLOOD_PRESSURE = ['systolicBloodPressure', 'diastolicBloodPressure'].map(key => {
+    const code = terminology.codeFor(key);
+    return { code: code.loinc, display: code.display };
+});
+
+// Name-based (version 5 style) UUID, stable for the same inputs
+function stableUuid(...parts) {
+    const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+    const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+// ISO date-time, or null when the value is not a date
+function toDateTime(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Quantity with the UCUM code of its unit when the unit is known
+function quantity(value, unit) {
+    const result = { value };
+    if (unit) result.unit = unit;
+    const code = unit ? terminology.ucumFor(unit) : null;
+    if (code) {
+        result.system = UCUM;
+        result.code = code;
+    }
+    return result;
+}
+
+// Numeric value of a parameter: { value, comparator } from the extractor's number or a value
+// printed as a single number ("5.4", "< 0.5 mg/dL"); null for text and compound values
+function readQuantity(parameter) {
+    const printed = String(parameter.value === undefined || parameter.value === null ? '' : parameter.value).trim();
+    const match = printed.match(/^(<=|>=|<|>|≤|≥)?\s*(-?\d+(?:\.\d+)?)(?:\s*[^\d\s/,.].*)?$/);
+    if (Number.isFinite(parameter.numericValue)) {
+        return { value: parameter.numericValue, comparator: match && match[1] ? COMPARATORS[match[1]] : null };
+    }
+    if (!match) return null;
+    return { value: parseFloat(match[2]), comparator: match[1] ? COMPARATORS[match[1]] : null };
+}
+
+function interpretationOf(status) {
+    const interpretation = INTERPRETATIONS[status];
+    if (!interpretation) return null;
+    return [{ coding: [{ system: INTERPRETATION_SYSTEM, ...interpretation }], text: status }];
+}
+
+// Reference range from the evaluated range, else from the printed range text
+function referenceRangeOf(parameter, unit) {
+    const range = parameter.referenceRange || referenceRanges.parsePrintedRange(parameter.normalRange);
+    const text = typeof parameter.normalRange === 'string' && parameter.normalRange.trim() ? parameter.normalRange.trim() : null;
+    const entry = {};
+    if (range && Number.isFinite(range.low)) entry.low = quantity(range.low, range.unit || unit);
+    if (range && Number.isFinite(range.high)) entry.high = quantity(range.high, range.unit || unit);
+    if (text) entry.text = text;
+    return Object.keys(entry).length > 0 ? [entry] : null;
+}
+
+// Value elements of an Observation: a quantity, blood pressure components, or the printed text
+function observationValue(parameter) {
+    const pressure = /blood\s*pressure/i.test(parameter.name) && String(parameter.value).match(/(\d{2,3})\s*\/\s*(\d{2,3})/);
+    if (pressure) {
+        return {
+            component: BLOOD_PRESSURE.map((coding, index) => ({
+                code: { coding: [{ system: LOINC, ...coding }], text: coding.display },
+                valueQuantity: quantity(parseInt(pressure[index + 1], 10), 'mmHg')
+            }))
+        };
+    }
+
+    const reading = readQuantity(parameter);
+    if (reading) {
+        const valueQuantity = quantity(reading.value, parameter.unit || null);
+        if (reading.comparator) valueQuantity.comparator = reading.comparator;
+        return { valueQuantity };
+    }
+
+    const text = String(parameter.value === undefined || parameter.value === null ? '' : parameter.value).trim();
+    return text ? { valueString: text } : { dataAbsentReason: { text: 'No value reported' } };
+}
+
+// Observation.code: the LOINC coding when the test has one, and the name as printed
+function observationCode(parameter) {
+    const loinc = parameter.loinc || terminology.codeParameters([parameter]).parameters[0].loinc;
+    const code = { text: String(parameter.name || 'Unnamed test') };
+    if (loinc) code.coding = [{ system: LOINC, code: loinc.code, display: loinc.display }];
+    return code;
+}
+
+function buildObservation(parameter, context) {
+    const observation = {
+        resourceType: 'Observation',
+        status: 'final',
+        category: [LAB_CATEGORY],
+        code: observationCode(parameter)
+    };
+    if (context.subject) observation.subject = context.subject;
+    if (context.effective) observation.effectiveDateTime = context.effective;
+    if (context.issued) observation.issued = context.issued;
+
+    Object.assign(observation, observationValue(parameter));
+    const interpretation = interpretationOf(parameter.status);
+    if (interpretation) observation.interpretation = interpretation;
+    const range = observation.valueQuantity ? referenceRangeOf(parameter, observation.valueQuantity.unit) : null;
+    if (range) observation.referenceRange = range;
+    return observation;
+}
+
+function buildPatient(userId, patient, identifierSystem) {
+    const resource = {
+        resourceType: 'Patient',
+        identifier: [{ system: identifierSystem, value: String(userId) }]
+    };
+    const sex = referenceRanges.normalizeSex(patient && patient.sex);
+    if (sex) resource.gender = sex;
+    return resource;
+}
+
+// Build a FHIR R4 Bundle for a report
+// - report: { id, userId, data: { parameters, summary, patient }, collectedAt, issuedAt }
+// - includePatient: add a Patient entry and point every resource's subject at it
+// - type: 'collection' (default) or 'transaction' (entries carry POST requests)
+// - patientIdentifierSystem / reportIdentifierSystem: identifier systems for user and report IDs
+function buildBundle(report, { includePatient = true, type = 'collection', patientIdentifierSystem, reportIdentifierSystem }) {
+    const data = report.data || {};
+    const parameters = Array.isArray(data.parameters) ? data.parameters : [];
+    const entries = [];
+    const add = (resource, key) => {
+        const fullUrl = `urn:uuid:${stableUuid(report.id, key)}`;
+        const entry = { fullUrl, resource };
+        if (type === 'transaction') entry.request = { method: 'POST', url: resource.resourceType };
+        entries.push(entry);
+        return fullUrl;
+    };
+
+    const context = {
+        effective: toDateTime(report.collectedAt),
+        issued: toDateTime(report.issuedAt)
+    };
+    if (includePatient && report.userId) {
+        const patient = buildPatient(report.userId, data.patient, patientIdentifierSystem);
+        // Transactions create the patient only when the EHR does not already have it
+        const reference = add(patient, 'patient');
+        if (type === 'transaction') {
+            entries[entries.length - 1].request.ifNoneExist = `identifier=${patientIdentifierSystem}|${report.userId}`;
+        }
+        context.subject = { reference };
+    }
+
+    const results = parameters
+        .filter(parameter => parameter && parameter.name && parameter.name !== 'General Health Assessment')
+        .map((parameter, index) => ({ reference: add(buildObservation(parameter, context), `observation-${index}`), display: String(parameter.name) }));
+
+    const diagnosticReport = {
+        resourceType: 'DiagnosticReport',
+        identifier: [{ system: reportIdentifierSystem, value: String(report.id) }],
+        status: 'final',
+        category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'LAB', display: 'Laboratory' }] }],
+        code: { coding: [{ system: LOINC, code: '11502-2', display: 'Laboratory report' }], text: 'Laboratory report' }
+    };
+    if (context.subject) diagnosticReport.subject = context.subject;
+    if (context.effective) diagnosticReport.effectiveDateTime = context.effective;
+    if (context.issued) diagnosticReport.issued = context.issued;
+    if (results.length > 0) diagnosticReport.result = results;
+    if (typeof data.summary === 'string' && data.summary.trim()) diagnosticReport.conclusion = data.summary.trim();
+    // The report goes first, as readers of a collection expect
+    const reportUrl = `urn:uuid:${stableUuid(report.id, 'report')}`;
+    const reportEntry = { fullUrl: reportUrl, resource: diagnosticReport };
+    if (type === 'transaction') reportEntry.request = { method: 'POST', url: 'DiagnosticReport' };
+
+    return {
+        resourceType: 'Bundle',
+        id: stableUuid(report.id, 'bundle'),
+        meta: { lastUpdated: new Date().toISOString() },
+        identifier: { system: reportIdentifierSystem, value: String(report.id) },
+        type,
+        timestamp: new Date().toISOString(),
+        entry: [reportEntry].concat(entries)
+    };
+}
+
+module.exports = {
+    INTERPRETATIONS,
+    buildBundle
+};
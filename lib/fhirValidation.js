@@ -0,0 +1,383 @@
+// Structural validation of FHIR R4 resources
+// Checks exported bundles against the base R4 definitions of the resources we produce (Bundle,
+// Patient, Observation, DiagnosticReport) and their data types: required elements, cardinality,
+// primitive formats, required value sets, choice types, unknown elements, and the invariants that
+// apply to these resources. Profiles and terminology bindings beyond required codes are not checked.
+
+// Primitive formats from the R4 specification
+const DATE = '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)';
+const TIME = '([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?';
+const ZONE = '(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))';
+const PRIMITIVES = {
+    string: value => typeof value === 'string' && value.trim().length > 0,
+    markdown: value => typeof value === 'string' && value.trim().length > 0,
+    code: value => typeof value === 'string' && /^[^\s]+(\s[^\s]+)*$/.test(value),
+    id: value => typeof value === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(value),
+    uri: value => typeof value === 'string' && /^\S+$/.test(value),
+    canonical: value => typeof value === 'string' && /^\S+$/.test(value),
+    boolean: value => typeof value === 'boolean',
+    decimal: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    unsignedInt: value => Number.isInteger(value) && value >= 0,
+    positiveInt: value => Number.isInteger(value) && value > 0,
+    date: value => typeof value === 'string' && new RegExp(`^${DATE}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$`).test(value),
+    dateTime: value => typeof value === 'string' &&
+        new RegExp(`^${DATE}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T${TIME}${ZONE})?)?)?$`).test(value),
+    instant: value => typeof value === 'string' &&
+        new RegExp(`^${DATE}-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T${TIME}${ZONE}$`).test(value),
+    time: value => typeof value === 'string' && new RegExp(`^${TIME}$`).test(value),
+    xhtml: value => typeof value === 'string' && /^<div[\s>]/.test(value.trim())
+};
+
+// Elements of each complex type and resource as 'type min..max'; '*' is any structure we do not
+// check further. [x] marks a choice element, with its allowed types listed after the cardinality.
+const DOMAIN_RESOURCE = {
+    id: 'id 0..1',
+    meta: 'Meta 0..1',
+    implicitRules: 'uri 0..1',
+    language: 'code 0..1',
+    text: 'Narrative 0..1',
+    contained: '* 0..*',
+    extension: 'Extension 0..*',
+    modifierExtension: 'Extension 0..*'
+};
+
+const ELEMENT = {
+    id: 'string 0..1',
+    extension: 'Extension 0..*'
+};
+
+const BACKBONE = {
+    ...ELEMENT,
+    modifierExtension: 'Extension 0..*'
+};
+
+const QUANTITY = {
+    ...ELEMENT,
+    value: 'decimal 0..1',
+    comparator: 'code 0..1',
+    unit: 'string 0..1',
+    system: 'uri 0..1',
+    code: 'code 0..1'
+};
+
+const OBSERVATION_VALUE = 'value[x] 0..1 Quantity CodeableConcept string boolean integer Range Ratio SampledData time dateTime Period';
+
+const TYPES = {
+    Extension: { ...ELEMENT, url: 'uri 1..1', 'value[x]': '* 0..1' },
+    Coding: { ...ELEMENT, system: 'uri 0..1', version: 'string 0..1', code: 'code 0..1', display: 'string 0..1', userSelected: 'boolean 0..1' },
+    CodeableConcept: { ...ELEMENT, coding: 'Coding 0..*', text: 'string 0..1' },
+    Quantity: QUANTITY,
+    SimpleQuantity: QUANTITY,
+    Range: { ...ELEMENT, low: 'SimpleQuantity 0..1', high: 'SimpleQuantity 0..1' },
+    Ratio: { ...ELEMENT, numerator: 'Quantity 0..1', denominator: 'Quantity 0..1' },
+    Period: { ...ELEMENT, start: 'dateTime 0..1', end: 'dateTime 0..1' },
+    Identifier: { ...ELEMENT, use: 'code 0..1', type: 'CodeableConcept 0..1', system: 'uri 0..1', value: 'string 0..1', period: 'Period 0..1', assigner: 'Reference 0..1' },
+    Reference: { ...ELEMENT, reference: 'string 0..1', type: 'uri 0..1', identifier: 'Identifier 0..1', display: 'string 0..1' },
+    HumanName: { ...ELEMENT, use: 'code 0..1', text: 'string 0..1', family: 'string 0..1', given: 'string 0..*', prefix: 'string 0..*', suffix: 'string 0..*', period: 'Period 0..1' },
+    Meta: { ...ELEMENT, versionId: 'id 0..1', lastUpdated: 'instant 0..1', source: 'uri 0..1', profile: 'canonical 0..*', security: 'Coding 0..*', tag: 'Coding 0..*' },
+    Narrative: { ...ELEMENT, status: 'code 1..1', div: 'xhtml 1..1' },
+
+    Bundle: {
+        id: 'id 0..1',
+        meta: 'Meta 0..1',
+        implicitRules: 'uri 0..1',
+        language: 'code 0..1',
+        identifier: 'Identifier 0..1',
+        type: 'code 1..1',
+        timestamp: 'instant 0..1',
+        total: 'unsignedInt 0..1',
+        link: '* 0..*',
+        entry: 'Bundle.entry 0..*',
+        signature: '* 0..1'
+    },
+    'Bundle.entry': { ...BACKBONE, link: '* 0..*', fullUrl: 'uri 0..1', resource: 'Resource 0..1', search: '* 0..1', request: 'Bundle.entry.request 0..1', response: '* 0..1' },
+    'Bundle.entry.request': { ...BACKBONE, method: 'code 1..1', url: 'uri 1..1', ifNoneMatch: 'string 0..1', ifModifiedSince: 'instant 0..1', ifMatch: 'string 0..1', ifNoneExist: 'string 0..1' },
+
+    Patient: {
+        ...DOMAIN_RESOURCE,
+        identifier: 'Identifier 0..*',
+        active: 'boolean 0..1',
+        name: 'HumanName 0..*',
+        telecom: '* 0..*',
+        gender: 'code 0..1',
+        birthDate: 'date 0..1',
+        'deceased[x]': 'deceased[x] 0..1 boolean dateTime',
+        address: '* 0..*',
+        maritalStatus: 'CodeableConcept 0..1',
+        'multipleBirth[x]': 'multipleBirth[x] 0..1 boolean integer',
+        photo: '* 0..*',
+        contact: '* 0..*',
+        communication: '* 0..*',
+        generalPractitioner: 'Reference 0..*',
+        managingOrganization: 'Reference 0..1',
+        link: '* 0..*'
+    },
+
+    Observation: {
+        ...DOMAIN_RESOURCE,
+        identifier: 'Identifier 0..*',
+        basedOn: 'Reference 0..*',
+        partOf: 'Reference 0..*',
+        status: 'code 1..1',
+        category: 'CodeableConcept 0..*',
+        code: 'CodeableConcept 1..1',
+        subject: 'Reference 0..1',
+        focus: 'Reference 0..*',
+        encounter: 'Reference 0..1',
+        'effective[x]': 'effective[x] 0..1 dateTime Period Timing instant',
+        issued: 'instant 0..1',
+        performer: 'Reference 0..*',
+        'value[x]': OBSERVATION_VALUE,
+        dataAbsentReason: 'CodeableConcept 0..1',
+        interpretation: 'CodeableConcept 0..*',
+        note: '* 0..*',
+        bodySite: 'CodeableConcept 0..1',
+        method: 'CodeableConcept 0..1',
+        specimen: 'Reference 0..1',
+        device: 'Reference 0..1',
+        referenceRange: 'Observation.referenceRange 0..*',
+        hasMember: 'Reference 0..*',
+        derivedFrom: 'Reference 0..*',
+        component: 'Observation.component 0..*'
+    },
+    'Observation.referenceRange': {
+        ...BACKBONE,
+        low: 'SimpleQuantity 0..1',
+        high: 'SimpleQuantity 0..1',
+        type: 'CodeableConcept 0..1',
+        appliesTo: 'CodeableConcept 0..*',
+        age: 'Range 0..1',
+        text: 'string 0..1'
+    },
+    'Observation.component': {
+        ...BACKBONE,
+        code: 'CodeableConcept 1..1',
+        'value[x]': OBSERVATION_VALUE,
+        dataAbsentReason: 'CodeableConcept 0..1',
+        interpretation: 'CodeableConcept 0..*',
+        referenceRange: 'Observation.referenceRange 0..*'
+    },
+
+    DiagnosticReport: {
+        ...DOMAIN_RESOURCE,
+        identifier: 'Identifier 0..*',
+        basedOn: 'Reference 0..*',
+        status: 'code 1..1',
+        category: 'CodeableConcept 0..*',
+        code: 'CodeableConcept 1..1',
+        subject: 'Reference 0..1',
+        encounter: 'Reference 0..1',
+        'effective[x]': 'effective[x] 0..1 dateTime Period',
+        issued: 'instant 0..1',
+        performer: 'Reference 0..*',
+        resultsInterpreter: 'Reference 0..*',
+        specimen: 'Reference 0..*',
+        result: 'Reference 0..*',
+        imagingStudy: 'Reference 0..*',
+        media: '* 0..*',
+        conclusion: 'string 0..1',
+        conclusionCode: 'CodeableConcept 0..*',
+        presentedForm: '* 0..*'
+    }
+};
+
+// Required value sets, by type and element
+const REQUIRED_CODES = {
+    'Bundle.type': ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'],
+    'Bundle.entry.request.method': ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    'Patient.gender': ['male', 'female', 'other', 'unknown'],
+    'Observation.status': ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'],
+    'DiagnosticReport.status': ['registered', 'partial', 'preliminary', 'final', 'amended', 'corrected', 'appended', 'cancelled', 'entered-in-error', 'unknown'],
+    'Quantity.comparator': ['<', '<=', '>=', '>'],
+    'Identifier.use': ['usual', 'official', 'temp', 'secondary', 'old'],
+    'HumanName.use': ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+    'Narrative.status': ['generated', 'extensions', 'additional', 'empty']
+};
+
+function parseElement(definition) {
+    const [type, cardinality, ...choices] = definition.split(' ');
+    const [min, max] = cardinality.split('..');
+    return { type, min: parseInt(min, 10), many: max === '*', choices };
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function isEmpty(value) {
+    if (value === null || value === undefined || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+// Check one value of a type; errors are pushed as "path message"
+function checkValue(value, type, path, errors) {
+    if (type === '*') return;
+    if (PRIMITIVES[type]) {
+        if (!PRIMITIVES[type](value)) errors.push(`${path} must be a valid ${type} (got ${JSON.stringify(value)})`);
+        return;
+    }
+    if (type === 'Resource') {
+        checkResource(value, path, errors);
+        return;
+    }
+    checkObject(value, type, path, errors);
+}
+
+// Check an object against its element definitions
+function checkObject(value, type, path, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    const definitions = TYPES[type];
+    const elements = Object.entries(definitions).map(([name, definition]) => ({ name, ...parseElement(definition) }));
+
+    const seen = new Set();
+    Object.keys(value).forEach(key => {
+        const where = `${path}.${key}`;
+        if (key === 'resourceType') return;
+        // Primitive extensions (_status) sit next to the element they extend
+        if (key.startsWith('_') && definitions[key.slice(1)]) return;
+
+        let element = elements.find(candidate => candidate.name === key);
+        let valueType = element && element.type;
+        if (!element) {
+            element = elements.find(candidate => candidate.name.endsWith('[x]') && key.startsWith(candidate.name.slice(0, -3)));
+            const suffix = element ? key.slice(element.name.length - 3) : '';
+            valueType = element && (element.type === '*'
+                ? '*'
+                : element.choices.find(choice => capitalize(choice) === suffix));
+            if (!valueType) {
+                errors.push(`${where} is not a known element of ${type}`);
+                return;
+            }
+            if (seen.has(element.name)) {
+                errors.push(`${path} must have only one ${element.name}`);
+                return;
+            }
+        }
+        seen.add(element.name);
+
+        const item = value[key];
+        if (isEmpty(item)) {
+            errors.push(`${where} must not be empty or null`);
+            return;
+        }
+        if (element.many !== Array.isArray(item)) {
+            errors.push(`${where} must be ${element.many ? 'an array' : 'a single value'}`);
+            return;
+        }
+        const codes = REQUIRED_CODES[`${type}.${key}`];
+        (element.many ? item : [item]).forEach((entry, index) => {
+            const entryPath = element.many ? `${where}[${index}]` : where;
+            if (isEmpty(entry)) {
+                errors.push(`${entryPath} must not be empty or null`);
+                return;
+            }
+            checkValue(entry, valueType, entryPath, errors);
+            if (codes && !codes.includes(entry)) {
+                errors.push(`${entryPath} must be one of ${codes.join(', ')} (got ${JSON.stringify(entry)})`);
+            }
+        });
+    });
+
+    elements.filter(element => element.min > 0 && !seen.has(element.name)).forEach(element => {
+        errors.push(`${path}.${element.name} is required`);
+    });
+
+    checkInvariants(value, type, path, errors);
+}
+
+// Constraints of the base specification that span several elements
+function checkInvariants(value, type, path, errors) {
+    if ((type === 'Quantity' || type === 'SimpleQuantity') && value.code && !value.system) {
+        errors.push(`${path} must have a system when it has a code (qty-3)`);
+    }
+    if (type === 'SimpleQuantity' && value.comparator) {
+        errors.push(`${path} must not have a comparator (sqty-1)`);
+    }
+    if (type === 'Observation.referenceRange' && !value.low && !value.high && !value.text) {
+        errors.push(`${path} must have a low, a high or a text (obs-3)`);
+    }
+    if ((type === 'Observation' || type === 'Observation.component') && value.dataAbsentReason &&
+        Object.keys(value).some(key => /^value[A-Z]/.test(key))) {
+        errors.push(`${path} must not have both a value and a dataAbsentReason (obs-6)`);
+    }
+    if (type === 'Narrative' && typeof value.div === 'string' && !/^<div[^>]*xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/.test(value.div.trim())) {
+        errors.push(`${path}.div must be a div in the XHTML namespace (txt-3)`);
+    }
+}
+
+function checkResource(resource, path, errors) {
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+        errors.push(`${path} must be a resource object`);
+        return;
+    }
+    if (!TYPES[resource.resourceType] || !/^[A-Z]/.test(resource.resourceType)) {
+        errors.push(`${path}.resourceType ${JSON.stringify(resource.resourceType)} is not supported`);
+        return;
+    }
+    checkObject(resource, resource.resourceType, path, errors);
+}
+
+// Bundle rules: entry fullUrls are unique, requests appear exactly in batches and transactions,
+// and urn:uuid references point at entries of the bundle
+function checkBundle(bundle, errors) {
+    const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+    const fullUrls = new Set();
+    const needsRequest = ['batch', 'transaction'].includes(bundle.type);
+    const allowsRequest = needsRequest || bundle.type === 'history';
+
+    entries.forEach((entry, index) => {
+        const path = `Bundle.entry[${index}]`;
+        if (!entry || typeof entry !== 'object') return;
+        if (entry.fullUrl) {
+            const version = entry.resource && entry.resource.meta && entry.resource.meta.versionId;
+            const key = `${entry.fullUrl}|${version || ''}`;
+            if (fullUrls.has(key)) errors.push(`${path}.fullUrl ${entry.fullUrl} is used by another entry (bdl-7)`);
+            fullUrls.add(key);
+        }
+        if (!entry.resource && !entry.request && !entry.response) {
+            errors.push(`${path} must have a resource, a request or a response (bdl-5)`);
+        }
+        if (needsRequest && !entry.request) errors.push(`${path}.request is required in a ${bundle.type} (bdl-3)`);
+        if (!allowsRequest && entry.request) errors.push(`${path}.request is only allowed in batches, transactions and histories (bdl-3)`);
+        if (entry.fullUrl && entry.resource && entry.resource.id && /^https?:/.test(entry.fullUrl) &&
+            !entry.fullUrl.endsWith(`/${entry.resource.resourceType}/${entry.resource.id}`)) {
+            errors.push(`${path}.fullUrl must end with the resource's type and id (bdl-8)`);
+        }
+    });
+
+    if (bundle.total !== undefined && !['searchset', 'history'].includes(bundle.type)) {
+        errors.push('Bundle.total is only allowed in searchsets and histories (bdl-1)');
+    }
+
+    const known = new Set(entries.map(entry => entry && entry.fullUrl).filter(Boolean));
+    const visit = (node, path) => {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => visit(item, `${path}[${index}]`));
+        } else if (node && typeof node === 'object') {
+            if (typeof node.reference === 'string' && node.reference.startsWith('urn:uuid:') && !known.has(node.reference)) {
+                errors.push(`${path}.reference ${node.reference} does not match any entry in the bundle`);
+            }
+            Object.keys(node).forEach(key => visit(node[key], `${path}.${key}`));
+        }
+    };
+    entries.forEach((entry, index) => visit(entry && entry.resource, `Bundle.entry[${index}].resource`));
+}
+
+// Validate a resource (usually a Bundle) against the base R4 structure
+// Returns { valid, errors } with errors as "path message" strings.
+function validateResource(resource) {
+    const errors = [];
+    const type = resource && resource.resourceType;
+    checkResource(resource, type || 'resource', errors);
+    if (type === 'Bundle' && resource.entry !== undefined) checkBundle(resource, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    validateResource
+};
@@ -0,0 +1,351 @@
+// HL7 v2 lab result messages
+// Labs that cannot send PDFs push ORU^R01 messages in the usual pipe-delimited (ER7) encoding.
+// The message is split into segments, fields, repetitions, components and subcomponents using the
+// delimiters its own MSH declares, and escape sequences are decoded. Each OBX becomes a reading in
+// the shape labParser produces, so results go through the same unit conversion and grading as a
+// printed report. Every message is answered with an ACK built here.
+
+const crypto = require('crypto');
+const labParser = require('./labParser');
+const referenceRanges = require('./referenceRanges');
+const terminology = require('./terminology');
+const units = require('./units');
+
+const DEFAULT_DELIMITERS = { field: '|', component: '^', repetition: '~', escape: '\\', subcomponent: '&' };
+
+// Acknowledgment codes (HL7 table 0008)
+const ACK = {
+    ACCEPT: 'AA',
+    ERROR: 'AE',
+    REJECT: 'AR'
+};
+
+// Error codes for ERR-3 (HL7 table 0357)
+const ERROR_CODES = {
+    101: 'Required field missing',
+    102: 'Data type error',
+    200: 'Unsupported message type',
+    201: 'Unsupported event code',
+    207: 'Application internal error'
+};
+
+// OBX-11 result statuses that carry no usable result: deleted, wrong (withdrawn), cannot be obtained
+const SKIPPED_RESULT_STATUSES = ['D', 'W', 'X'];
+
+// OBX-8 abnormal flags in the H/L/HH/LL form the lab report parser uses; ">" and "<" are results
+// beyond the absolute (panic) limits
+const FLAGS = { H: 'H', L: 'L', HH: 'HH', LL: 'LL', '>': 'HH', '<': 'LL' };
+
+// Error answered with the given acknowledgment code and HL7 error code
+function hl7Error(message, { ackCode = ACK.ERROR, errorCode = 207, location = null } = {}) {
+    const error = new Error(message);
+    error.ackCode = ackCode;
+    error.errorCode = errorCode;
+    error.location = location;
+    return error;
+}
+
+function escapePattern(character) {
+    return character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Decode \F\ \S\ \T\ \R\ \E\, hex (\X0D0A\) and line breaks (\.br\); highlighting and character set
+// switches are dropped
+function unescapeText(value, delimiters) {
+    if (!value.includes(delimiters.escape)) return value;
+    const escape = escapePattern(delimiters.escape);
+    return value.replace(new RegExp(`${escape}([^${escape}]*)${escape}`, 'g'), (match, sequence) => {
+        if (sequence === 'F') return delimiters.field;
+        if (sequence === 'S') return delimiters.component;
+        if (sequence === 'T') return delimiters.subcomponent;
+        if (sequence === 'R') return delimiters.repetition;
+        if (sequence === 'E') return delimiters.escape;
+        if (sequence === '.br' || sequence === '.sp') return '\n';
+        if (/^X([0-9a-f]{2})+$/i.test(sequence)) return Buffer.from(sequence.slice(1), 'hex').toString('latin1');
+        return '';
+    });
+}
+
+function escapeText(value, delimiters = DEFAULT_DELIMITERS) {
+    const { field, component, subcomponent, repetition, escape } = delimiters;
+    return String(value === undefined || value === null ? '' : value)
+        .split(escape).join(`${escape}E${escape}`)
+        .split(field).join(`${escape}F${escape}`)
+        .split(component).join(`${escape}S${escape}`)
+        .split(subcomponent).join(`${escape}T${escape}`)
+        .split(repetition).join(`${escape}R${escape}`)
+        .replace(/\r?\n/g, `${escape}.br${escape}`);
+}
+
+// Field value as repetitions of components of subcomponents, decoded
+function splitField(raw, delimiters) {
+    return raw.split(delimiters.repetition).map(repetition =>
+        repetition.split(delimiters.component).map(component =>
+            component.split(delimiters.subcomponent).map(subcomponent => unescapeText(subcomponent, delimiters))));
+}
+
+// Parse an ER7 message: { delimiters, segments: [{ name, fields, text }] }
+// fields[n] is HL7 field n (MSH-1 is the field separator itself, so MSH numbering matches the standard).
+function parseMessage(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '').replace(/^\s+/, '');
+    if (!source.startsWith('MSH')) {
+        throw hl7Error('Message does not start with an MSH segment', { ackCode: ACK.REJECT, errorCode: 101, location: 'MSH' });
+    }
+    const delimiters = {
+        field: source.charAt(3),
+        component: source.charAt(4) || DEFAULT_DELIMITERS.component,
+        repetition: source.charAt(5) || DEFAULT_DELIMITERS.repetition,
+        escape: source.charAt(6) || DEFAULT_DELIMITERS.escape,
+        subcomponent: source.charAt(7) || DEFAULT_DELIMITERS.subcomponent
+    };
+
+    const segments = source.split(/\r\n|\r|\n/).filter(line => line.trim()).map(line => {
+        const raw = line.split(delimiters.field);
+        const name = raw[0].trim();
+        const fields = name === 'MSH'
+            ? [name, [[[delimiters.field]]], [[[raw[1] || '']]]].concat(raw.slice(2).map(field => splitField(field, delimiters)))
+            : [name].concat(raw.slice(1).map(field => splitField(field, delimiters)));
+        return { name, fields, text: line };
+    });
+    return { delimiters, segments };
+}
+
+// One component of a field: get(segment, 3, 2) is the second component of the third field, first repetition
+function get(segment, field, component = 1, repetition = 1) {
+    const value = segment.fields[field];
+    const subcomponents = value && value[repetition - 1] && value[repetition - 1][component - 1];
+    return subcomponents ? subcomponents.join('&').trim() : '';
+}
+
+// Every repetition of a field, each as its component list
+function repetitions(segment, field) {
+    return (segment.fields[field] || [])
+        .map(repetition => repetition.map(component => component.join('&').trim()))
+        .filter(repetition => repetition.some(component => component));
+}
+
+// HL7 timestamp (YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]) as an ISO date-time; no zone means UTC
+function parseTimestamp(value) {
+    const match = String(value || '').trim()
+        .match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.(\d{1,4}))?([+-]\d{4})?$/);
+    if (!match) return null;
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', fraction = '0', zone] = match;
+    let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, Math.round(parseFloat(`0.${fraction}`) * 1000));
+    if (zone) {
+        const offset = (zone[0] === '-' ? -1 : 1) * (parseInt(zone.slice(1, 3), 10) * 60 + parseInt(zone.slice(3), 10));
+        time -= offset * 60000;
+    }
+    const date = new Date(time);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function formatTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, '') + '+0000';
+}
+
+// Age in whole years at a date, from an HL7 birth date
+function ageAt(birthDate, at) {
+    const born = parseTimestamp(birthDate);
+    if (!born) return null;
+    const from = new Date(born);
+    const to = at ? new Date(at) : new Date();
+    let age = to.getUTCFullYear() - from.getUTCFullYear();
+    if (to.getUTCMonth() < from.getUTCMonth() || (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate())) age--;
+    return age >= 0 ? age : null;
+}
+
+function readHeader(msh) {
+    return {
+        sendingApplication: get(msh, 3),
+        sendingFacility: get(msh, 4),
+        receivingApplication: get(msh, 5),
+        receivingFacility: get(msh, 6),
+        sentAt: parseTimestamp(get(msh, 7)),
+        messageType: get(msh, 9, 1),
+        triggerEvent: get(msh, 9, 2),
+        controlId: get(msh, 10),
+        processingId: get(msh, 11),
+        version: get(msh, 12)
+    };
+}
+
+function readObservation(obx, index) {
+    return {
+        setId: get(obx, 1),
+        valueType: get(obx, 2),
+        code: get(obx, 3, 1),
+        name: get(obx, 3, 2),
+        codingSystem: get(obx, 3, 3),
+        subId: get(obx, 4),
+        values: repetitions(obx, 5),
+        unit: { code: get(obx, 6, 1), text: get(obx, 6, 2), system: get(obx, 6, 3) },
+        referenceRange: get(obx, 7),
+        abnormalFlags: repetitions(obx, 8).map(flag => flag[0]),
+        resultStatus: get(obx, 11),
+        observedAt: parseTimestamp(get(obx, 14)),
+        segment: index + 1,
+        segmentText: obx.text
+    };
+}
+
+// Read an ORU^R01 message into its header and the results of each patient:
+// { header, patients: [{ identifiers, name, sex, birthDate, orders: [{ placerOrderNumber,
+//   fillerOrderNumber, service, observedAt, results: [observation] }] }] }
+// Messages that are not ORU^R01 are rejected (AR); results outside a patient group are errors (AE).
+function readOruR01(message) {
+    const msh = message.segments[0];
+    const header = readHeader(msh);
+    if (header.messageType !== 'ORU') {
+        throw hl7Error(`Unsupported message type ${header.messageType || '(none)'}; only ORU^R01 is accepted`, { ackCode: ACK.REJECT, errorCode: 200, location: 'MSH-9' });
+    }
+    if (header.triggerEvent !== 'R01') {
+        throw hl7Error(`Unsupported event ${header.triggerEvent || '(none)'}; only ORU^R01 is accepted`, { ackCode: ACK.REJECT, errorCode: 201, location: 'MSH-9' });
+    }
+    if (!header.controlId) {
+        throw hl7Error('MSH-10 (message control ID) is required', { ackCode: ACK.REJECT, errorCode: 101, location: 'MSH-10' });
+    }
+
+    const patients = [];
+    let patient = null;
+    let order = null;
+    message.segments.forEach((segment, index) => {
+        if (segment.name === 'PID') {
+            patient = {
+                identifiers: repetitions(segment, 3).map(identifier => ({
+                    id: identifier[0] || '',
+                    assigningAuthority: identifier[3] || '',
+                    type: identifier[4] || ''
+                })).filter(identifier => identifier.id),
+                name: [get(segment, 5, 2), get(segment, 5, 1)].filter(Boolean).join(' '),
+                birthDate: get(segment, 7),
+                sex: get(segment, 8),
+                orders: []
+            };
+            order = null;
+            patients.push(patient);
+        } else if (segment.name === 'OBR') {
+            if (!patient) throw hl7Error('OBR segment before any PID segment', { errorCode: 101, location: `OBR (segment ${index + 1})` });
+            order = {
+                placerOrderNumber: get(segment, 2),
+                fillerOrderNumber: get(segment, 3),
+                service: get(segment, 4, 2) || get(segment, 4, 1),
+                observedAt: parseTimestamp(get(segment, 7)),
+                results: []
+            };
+            patient.orders.push(order);
+        } else if (segment.name === 'OBX') {
+            if (!patient) throw hl7Error('OBX segment before any PID segment', { errorCode: 101, location: `OBX (segment ${index + 1})` });
+            // Results outside an order (allowed by some senders) get an order of their own
+            if (!order) {
+                order = { placerOrderNumber: '', fillerOrderNumber: '', service: '', observedAt: null, results: [] };
+                patient.orders.push(order);
+            }
+            order.results.push(readObservation(segment, index));
+        }
+    });
+
+    if (patients.length === 0) {
+        throw hl7Error('The message has no PID segment', { errorCode: 101, location: 'PID' });
+    }
+    return { header, patients };
+}
+
+// Numeric reading of an OBX value: { value, comparator } for NM, SN ("<^0.5") and numeric text
+function readNumber(observation) {
+    const first = observation.values[0] || [];
+    if (observation.valueType === 'SN') {
+        const [comparator = '', number = '', separator = ''] = first;
+        // Ratios and ranges ("1^:^40") stay text
+        if (separator || !/^-?\d+(?:\.\d+)?$/.test(number)) return null;
+        return { value: parseFloat(number), comparator: ['<', '>', '<=', '>='].includes(comparator) ? comparator : null };
+    }
+    const match = String(first[0] || '').match(/^(<=|>=|<|>)?\s*(-?\d+(?:\.\d+)?)$/);
+    return match ? { value: parseFloat(match[2]), comparator: match[1] || null } : null;
+}
+
+// Printed text of an OBX value, repetitions separated by commas
+function valueText(observation) {
+    if (observation.valueType === 'SN') {
+        return observation.values.map(value => value.join('')).join(', ');
+    }
+    // Coded values (CE/CWE) read as their text, else their code
+    if (observation.valueType === 'CE' || observation.valueType === 'CWE') {
+        return observation.values.map(value => value[1] || value[0]).join(', ');
+    }
+    return observation.values.map(value => value[0]).join(', ');
+}
+
+// Unit of an OBX result in our spelling: a unit we recognize, the UCUM code translated, or as sent
+function unitOf(observation) {
+    const { code, text } = observation.unit;
+    if (code && units.normalizeUnit(code)) return code;
+    return terminology.unitForUcum(code) || (text && units.normalizeUnit(text) ? text : null) || code || text || null;
+}
+
+// Catalog key of an OBX result: by LOINC code, else by its name
+function keyOf(observation) {
+    const loinc = observation.codingSystem === 'LN' ? terminology.keyForLoinc(observation.code) : null;
+    return loinc || labParser.identifyTest(observation.name) || null;
+}
+
+// A result as a lab parser reading ({ key, label, value, comparator, unit, printedRange, flag, line,
+// text }, line being the segment number) plus the value and range as sent, the sender's LOINC coding
+// and the result status; null for results without a usable value
+function toReading(observation) {
+    if (SKIPPED_RESULT_STATUSES.includes(observation.resultStatus)) return null;
+    const number = readNumber(observation);
+    const text = valueText(observation);
+    if (!number && !text) return null;
+
+    return {
+        key: keyOf(observation),
+        label: observation.name || observation.code,
+        value: number ? number.value : null,
+        comparator: number ? number.comparator : null,
+        unit: unitOf(observation),
+        printedRange: referenceRanges.parsePrintedRange(observation.referenceRange),
+        rangeText: observation.referenceRange,
+        flag: observation.abnormalFlags.map(flag => FLAGS[flag]).find(Boolean) || null,
+        line: observation.segment,
+        text: observation.segmentText,
+        valueText: text,
+        loinc: observation.codingSystem === 'LN' && observation.code ? { code: observation.code, display: observation.name || observation.code } : null,
+        resultStatus: observation.resultStatus || null,
+        observedAt: observation.observedAt
+    };
+}
+
+// Build the ACK for a message (or for unreadable input, when message is null)
+// ackCode is AA, AE or AR; error adds an ERR segment with its HL7 error code and location.
+function buildAck(message, { ackCode = ACK.ACCEPT, text = '', error = null, application = 'HealthEye', facility = 'HealthEye' } = {}) {
+    const delimiters = message ? message.delimiters : DEFAULT_DELIMITERS;
+    const header = message ? readHeader(message.segments[0]) : {};
+    const f = delimiters.field;
+    const encoding = `${delimiters.component}${delimiters.repetition}${delimiters.escape}${delimiters.subcomponent}`;
+    const escape = value => escapeText(value, delimiters);
+
+    const segments = [
+        ['MSH', encoding, escape(application), escape(facility), escape(header.sendingApplication), escape(header.sendingFacility),
+            formatTimestamp(), '', `ACK${delimiters.component}R01${delimiters.component}ACK`,
+            crypto.randomBytes(10).toString('hex'), escape(header.processingId || 'P'), escape(header.version || '2.5.1')].join(f),
+        ['MSA', ackCode, escape(header.controlId), escape(text)].join(f)
+    ];
+    if (error) {
+        const code = error.errorCode || 207;
+        segments.push(['ERR', '', escape(error.location || ''),
+            [code, escape(ERROR_CODES[code] || ''), 'HL70357'].join(delimiters.component),
+            'E', '', '', '', escape(error.message)].join(f));
+    }
+    return segments.join('\r') + '\r';
+}
+
+module.exports = {
+    ACK,
+    hl7Error,
+    parseMessage,
+    parseTimestamp,
+    ageAt,
+    readOruR01,
+    toReading,
+    buildAck
+};
@@ -0,0 +1,181 @@
+// HTML templates for the public report pages
+// Templates live in lib/templates/*.html and are compiled once at startup. The syntax is a small subset of
+// Handlebars: {{ path }}, {{#if path}}...{{else}}...{{/if}}, {{#each path}}...{{/each}} (with this,
+// @index and @number) and {{> partial}} for templates/_partial.html. Every value is HTML-escaped and there
+// is deliberately no raw-output form, so stored report fields can never add markup to a page.
+// A theme (colors, logo, tagline, footer text) is passed to every template as `theme`.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_THEME = {
+    primaryColor: '#667eea',
+    secondaryColor: '#764ba2',
+    brandColor: '#3498db',
+    logoText: '🏥 HEALTHEYE',
+    logoUrl: '',
+    tagline: 'AI-Powered Medical Imaging & Diagnostic Services',
+    footerTitle: 'HealthEye Medical Services',
+    footerText: 'AI-Powered Medical Imaging & Diagnostic Solutions'
+};
+
+const THEME_COLORS = ['primaryColor', 'secondaryColor', 'brandColor'];
+
+// Colors end up inside <style>, where HTML escaping does not help: only plain color values pass
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\(\s*[\d.%\s,]+\)|hsla?\(\s*[\d.%\s,deg]+\)|[a-z]{3,20})$/i;
+// Logos are images from our own paths, http(s) or inline raster data; never javascript: or SVG data
+const LOGO_URL_PATTERN = /^(https?:\/\/|\/(?!\/)|data:image\/(png|jpeg|gif|webp);base64,)/i;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;', '=': '&#61;' };
+
+function escapeHtml(value) {
+    if (value === null || value === undefined || value === false) return '';
+    return String(value).replace(/[&<>"'`=]/g, character => ESCAPES[character]);
+}
+
+// Plain text of a field that may hold markup (doctor notes are often pasted from an HTML editor)
+function htmlToText(value) {
+    return String(value || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Theme with defaults filled in; values that are unsafe where they are used fall back to the base theme
+function resolveTheme(overrides = {}, base = DEFAULT_THEME) {
+    const theme = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_THEME) || value === undefined || value === null || value === '') return;
+        const text = String(value).trim();
+        if (THEME_COLORS.includes(key) && !COLOR_PATTERN.test(text)) {
+            console.warn(`⚠️ Ignoring theme ${key} "${text}": not a CSS color`);
+            return;
+        }
+        if (key === 'logoUrl' && !LOGO_URL_PATTERN.test(text)) {
+            console.warn(`⚠️ Ignoring theme logoUrl "${text}": use an http(s) URL, a path or a raster data URL`);
+            return;
+        }
+        theme[key] = text;
+    });
+    return theme;
+}
+
+// Parse a template into a tree of text, value, if, each and partial nodes
+function compile(source, name) {
+    const root = { children: [] };
+    const stack = [{ node: root, branch: root.children }];
+    const pattern = /\{\{(\{?)\s*([#/>]?)\s*([^}]*?)\s*\}\}/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const [tag, triple, sigil, body] = match;
+        const current = stack[stack.length - 1];
+        if (match.index > last) current.branch.push({ type: 'text', value: source.slice(last, match.index) });
+        last = match.index + tag.length;
+
+        if (triple) {
+            throw new Error(`${name}: raw output ({{{ }}}) is not supported, values are always escaped`);
+        }
+        if (sigil === '#') {
+            const [keyword, expression] = body.split(/\s+/);
+            if (!['if', 'each'].includes(keyword) || !expression) throw new Error(`${name}: unknown block {{#${body}}}`);
+            const node = { type: keyword, path: expression, children: [], otherwise: [] };
+            current.branch.push(node);
+            stack.push({ node, branch: node.children });
+        } else if (sigil === '/') {
+            if (stack.length === 1 || current.node.type !== body) throw new Error(`${name}: unexpected {{/${body}}}`);
+            stack.pop();
+        } else if (sigil === '>') {
+            current.branch.push({ type: 'partial', name: body });
+        } else if (body === 'else') {
+            if (stack.length === 1) throw new Error(`${name}: {{else}} outside a block`);
+            current.branch = current.node.otherwise;
+        } else {
+            current.branch.push({ type: 'value', path: body });
+        }
+    }
+    if (stack.length > 1) throw new Error(`${name}: {{#${stack[stack.length - 1].node.type}}} is never closed`);
+    if (last < source.length) root.children.push({ type: 'text', value: source.slice(last) });
+    return root.children;
+}
+
+// Look a path up in the innermost scope that has its first segment
+function lookup(pathText, scopes) {
+    const scope = scopes[scopes.length - 1];
+    if (pathText === 'this') return scope.value;
+    if (pathText === '@index') return scope.index;
+    if (pathText === '@number') return scope.index === undefined ? undefined : scope.index + 1;
+
+    const parts = pathText.replace(/^this\./, '').split('.');
+    const candidates = pathText.startsWith('this.') ? [scope] : scopes.slice().reverse();
+    const owner = candidates.find(candidate => candidate.value !== null && typeof candidate.value === 'object' && parts[0] in candidate.value);
+    if (!owner) return undefined;
+    return parts.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), owner.value);
+}
+
+function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderNodes(nodes, scopes, partials) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'value') return escapeHtml(lookup(node.path, scopes));
+        if (node.type === 'partial') {
+            const partial = partials[node.name];
+            if (!partial) throw new Error(`Unknown partial ${node.name}`);
+            return renderNodes(partial, scopes, partials);
+        }
+        const value = lookup(node.path, scopes);
+        if (node.type === 'if') {
+            return renderNodes(truthy(value) ? node.children : node.otherwise, scopes, partials);
+        }
+        // each
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) return renderNodes(node.otherwise, scopes, partials);
+        return items.map((item, index) => renderNodes(node.children, scopes.concat({ value: item, index }), partials)).join('');
+    }).join('');
+}
+
+// Load and compile every template in dir; names starting with "_" are partials
+// Returns { render(name, data, { theme }), theme }, theme being the resolved default theme. A theme
+// passed to render (a clinic's own branding, for example) is layered over the default.
+function createTemplates({ dir, theme = {} }) {
+    const templates = {};
+    const partials = {};
+    fs.readdirSync(dir).filter(file => file.endsWith('.html')).forEach(file => {
+        const name = path.basename(file, '.html');
+        const compiled = compile(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+        if (name.startsWith('_')) partials[name.slice(1)] = compiled;
+        else templates[name] = compiled;
+    });
+    const defaultTheme = resolveTheme(theme);
+
+    return {
+        theme: defaultTheme,
+
+        render(name, data = {}, { theme: overrides } = {}) {
+            const template = templates[name];
+            if (!template) throw new Error(`Unknown template ${name}`);
+            const pageTheme = overrides ? resolveTheme(overrides, defaultTheme) : defaultTheme;
+            return renderNodes(template, [{ value: { ...data, theme: pageTheme } }], partials);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    escapeHtml,
+    htmlToText,
+    resolveTheme,
+    createTemplates
+};
@@ -0,0 +1,257 @@
+// Background job queue with progress, persistence and per-stage retries
+// A job type is a list of stages run in order; each stage's output is saved with the job, so a
+// failed stage is retried on its own and a job interrupted by a restart resumes where it stopped.
+// Jobs are persisted through the storage adapter (saveJob/getJob/listJobs/deleteJob).
+
+const crypto = require('crypto');
+
+const STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Error for failures retrying cannot fix (e.g. an unreadable upload); details are shown to the client
+function permanentError(message, details = null) {
+    const error = new Error(message);
+    error.retryable = false;
+    error.details = details;
+    return error;
+}
+
+// Public view of a job: no input (file paths) or intermediate stage outputs
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        stage: job.stage,
+        stages: job.stages.map(stage => ({
+            name: stage.name,
+            status: stage.status,
+            attempts: stage.attempts,
+            error: stage.error || null
+        })),
+        result: job.status === STATUS.DONE ? job.result : null,
+        error: job.error || null,
+        details: job.details || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null
+    };
+}
+
+// Create a queue
+// - concurrency: jobs running at once
+// - maxAttempts: tries per stage; errors with retryable === false fail the job at once
+// - retryDelayMs: wait before the first retry, doubled for each further one
+// - progressSaveMs: minimum interval between saves caused only by progress updates
+function createJobQueue({ storage, concurrency = 2, maxAttempts = 3, retryDelayMs = 2000, progressSaveMs = 1000, retentionHours = 72 }) {
+    const definitions = {};
+    const live = new Map();
+    const waiting = [];
+    // Callers waiting for a job to finish, by job ID
+    const waiters = new Map();
+    let running = 0;
+
+    function touch(job) {
+        job.updatedAt = new Date().toISOString();
+    }
+
+    async function save(job) {
+        touch(job);
+        job.savedAt = Date.now();
+        await storage.saveJob(job);
+    }
+
+    // Overall percent from the stage weights and the current stage's fraction
+    function setProgress(job, stageIndex, fraction) {
+        const stages = definitions[job.type].stages;
+        const total = stages.reduce((sum, stage) => sum + (stage.weight || 1), 0);
+        const done = stages.slice(0, stageIndex).reduce((sum, stage) => sum + (stage.weight || 1), 0);
+        const progress = Math.floor(((done + (stages[stageIndex].weight || 1) * Math.min(1, Math.max(0, fraction))) / total) * 100);
+        if (progress <= job.progress) return;
+
+        job.progress = progress;
+        touch(job);
+        if (Date.now() - (job.savedAt || 0) >= progressSaveMs) {
+            save(job).catch(error => console.error(`Error saving job ${job.id}:`, error.message));
+        }
+    }
+
+    async function runStage(job, index) {
+        const stage = definitions[job.type].stages[index];
+        const record = job.stages[index];
+        job.stage = stage.name;
+
+        while (true) {
+            record.status = STATUS.RUNNING;
+            record.attempts++;
+            record.startedAt = new Date().toISOString();
+            await save(job);
+
+            try {
+                job.state[stage.name] = await stage.run(job.input, job.state, fraction => setProgress(job, index, fraction));
+                record.status = STATUS.DONE;
+                record.error = null;
+                record.finishedAt = new Date().toISOString();
+                setProgress(job, index, 1);
+                return;
+            } catch (error) {
+                record.error = error.message;
+                const retry = error.retryable !== false && record.attempts < maxAttempts;
+                console.error(`⚠️ Job ${job.id} stage ${stage.name} failed (attempt ${record.attempts}/${maxAttempts}):`, error.message);
+                if (!retry) {
+                    record.status = STATUS.FAILED;
+                    throw error;
+                }
+                record.status = STATUS.QUEUED;
+                await save(job);
+                await sleep(retryDelayMs * Math.pow(2, record.attempts - 1));
+            }
+        }
+    }
+
+    async function run(job) {
+        const definition = definitions[job.type];
+        job.status = STATUS.RUNNING;
+        job.startedAt = job.startedAt || new Date().toISOString();
+
+        try {
+            for (let index = 0; index < definition.stages.length; index++) {
+                // Stages finished before a restart are not run again
+                if (job.stages[index].status === STATUS.DONE) continue;
+                await runStage(job, index);
+            }
+            const last = definition.stages[definition.stages.length - 1].name;
+            job.result = job.state[last];
+            job.status = STATUS.DONE;
+            job.progress = 100;
+        } catch (error) {
+            job.status = STATUS.FAILED;
+            job.error = error.message;
+            job.details = error.details || null;
+        }
+
+        job.stage = null;
+        job.finishedAt = new Date().toISOString();
+        // Intermediate outputs are only needed to resume; the result is kept
+        job.state = {};
+        await save(job);
+        console.log(`${job.status === STATUS.DONE ? '✅' : '❌'} Job ${job.id} (${job.type}) ${job.status}`);
+
+        if (definition.onSettled) {
+            try {
+                await definition.onSettled(job);
+            } catch (error) {
+                console.error(`Error cleaning up job ${job.id}:`, error.message);
+            }
+        }
+    }
+
+    function pump() {
+        while (running < concurrency && waiting.length > 0) {
+            const job = waiting.shift();
+            running++;
+            run(job)
+                .catch(error => console.error(`Job ${job.id} crashed:`, error))
+                .finally(() => {
+                    running--;
+                    live.delete(job.id);
+                    (waiters.get(job.id) || []).forEach(resolve => resolve(job));
+                    waiters.delete(job.id);
+                    pump();
+                });
+        }
+    }
+
+    function schedule(job) {
+        live.set(job.id, job);
+        waiting.push(job);
+        pump();
+    }
+
+    return {
+        // Register a job type: { stages: [{ name, weight, run(input, state, progress) }], onSettled(job) }
+        register(type, definition) {
+            definitions[type] = definition;
+        },
+
+        async enqueue(type, input, { userId = null } = {}) {
+            const definition = definitions[type];
+            if (!definition) throw new Error(`Unknown job type: ${type}`);
+
+            const now = new Date().toISOString();
+            const job = {
+                id: crypto.randomBytes(12).toString('hex'),
+                type,
+                userId,
+                status: STATUS.QUEUED,
+                progress: 0,
+                stage: null,
+                stages: definition.stages.map(stage => ({ name: stage.name, status: STATUS.QUEUED, attempts: 0, error: null })),
+                input,
+                state: {},
+                result: null,
+                error: null,
+                createdAt: now,
+                updatedAt: now
+            };
+            await save(job);
+            schedule(job);
+            return job;
+        },
+
+        // Live copy while the job is in flight, otherwise the stored one
+        async get(jobId) {
+            return live.get(jobId) || storage.getJob(jobId);
+        },
+
+        // Resolves with the job once it is done or failed (at once if it already is)
+        async settled(jobId) {
+            if (!live.has(jobId)) return storage.getJob(jobId);
+            return new Promise(resolve => {
+                waiters.set(jobId, [...(waiters.get(jobId) || []), resolve]);
+            });
+        },
+
+        // Re-queue jobs a previous process left queued or running, and drop old finished ones
+        async resume() {
+            const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+            const jobs = await storage.listJobs();
+            let resumed = 0;
+            for (const job of jobs) {
+                const finished = job.status === STATUS.DONE || job.status === STATUS.FAILED;
+                if (finished && new Date(job.finishedAt).getTime() < cutoff) {
+                    await storage.deleteJob(job.id);
+                } else if (!finished && definitions[job.type] && !live.has(job.id)) {
+                    job.status = STATUS.QUEUED;
+                    job.stages.forEach(stage => {
+                        if (stage.status === STATUS.RUNNING) stage.status = STATUS.QUEUED;
+                    });
+                    schedule(job);
+                    resumed++;
+                }
+            }
+            return resumed;
+        },
+
+        stats() {
+            return { running, queued: waiting.length, concurrency };
+        }
+    };
+}
+
+module.exports = {
+    STATUS,
+    createJobQueue,
+    describeJob,
+    permanentError
+};
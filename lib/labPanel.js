@@ -0,0 +1,168 @@
+// Lab-panel layout for the report viewer
+// Processed uploads ({ healthScore, summary, parameters }) are shown grouped into the panels of
+// catalog/labPanels.json, each result with a range bar placing its value against the normal interval.
+// Imaging-style reports ({ topPrediction, confidence, predictions }) keep the findings layout.
+
+const { panels } = require('./catalog/labPanels.json');
+const referenceRanges = require('./referenceRanges');
+const labParser = require('./labParser');
+
+const BLOOD_PRESSURE_KEY = 'bloodPressure';
+const OTHER_PANEL = { id: 'other', name: 'Other Results' };
+
+// Panel tests that are not catalog analytes would never be matched
+const unknownTests = panels.flatMap(panel => panel.tests)
+    .filter(key => key !== BLOOD_PRESSURE_KEY && !referenceRanges.getAnalyte(key));
+if (unknownTests.length > 0) {
+    console.warn(`⚠️ Lab panels list unknown test(s): ${unknownTests.join(', ')}`);
+}
+
+const PANEL_OF = {};
+panels.forEach(panel => panel.tests.forEach((key, order) => { PANEL_OF[key] = { panel, order }; }));
+
+// CSS class of each status: in range, out of range, panic value, or not graded
+const STATUS_CLASSES = {
+    Normal: 'normal',
+    Low: 'abnormal',
+    High: 'abnormal',
+    Moderate: 'abnormal',
+    'Critical Low': 'critical',
+    'Critical High': 'critical',
+    Critical: 'critical'
+};
+
+function isResult(parameter) {
+    return !!(parameter && parameter.name && parameter.name !== 'General Health Assessment');
+}
+
+// 'lab' for processed uploads, 'imaging' for prediction-style reports; an explicit reportType wins
+function reportType(reportData) {
+    const data = reportData || {};
+    if (data.reportType === 'lab' || data.reportType === 'imaging') return data.reportType;
+    const predictions = Array.isArray(data.predictions) ? data.predictions : [];
+    if (data.topPrediction || predictions.length > 0) return 'imaging';
+    const parameters = Array.isArray(data.parameters) ? data.parameters : [];
+    return parameters.some(isResult) || Number.isFinite(data.healthScore) ? 'lab' : 'imaging';
+}
+
+// Catalog key of a result: its own, else the test its name refers to (AI results carry no key)
+function keyOf(parameter) {
+    if (parameter.key) return parameter.key;
+    if (/blood\s*pressure/i.test(parameter.name)) return BLOOD_PRESSURE_KEY;
+    return labParser.identifyTest(String(parameter.name));
+}
+
+// The number a result reports, or null for text results and paired readings like "120/80"
+function numericValueOf(parameter) {
+    if (Number.isFinite(parameter.numericValue)) return parameter.numericValue;
+    const text = String(parameter.value === undefined || parameter.value === null ? '' : parameter.value)
+        .replace(/(\d),(?=\d)/g, '$1');
+    if (/\d\s*\/\s*\d/.test(text)) return null;
+    const match = text.match(/^\s*(?:<=|>=|<|>|≤|≥)?\s*(-?\d+(?:\.\d+)?)/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+function roundPercent(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Where a value falls against its normal interval, as percentages of the bar's width
+// The normal interval takes the middle of the bar; the scale stretches to fit values far outside it.
+// Returns { normalStart, normalWidth, marker } or null when the value or the interval is not numeric.
+function rangeBar(parameter) {
+    const value = numericValueOf(parameter);
+    if (value === null) return null;
+    const stored = parameter.referenceRange;
+    const range = stored && (Number.isFinite(stored.low) || Number.isFinite(stored.high))
+        ? stored
+        : referenceRanges.parsePrintedRange(String(parameter.normalRange || ''));
+    if (!range) return null;
+    const low = Number.isFinite(range.low) ? range.low : null;
+    const high = Number.isFinite(range.high) ? range.high : null;
+    if (low === null && high === null) return null;
+
+    let min;
+    let max;
+    if (low !== null && high !== null) {
+        const padding = (high - low) / 2 || Math.abs(high) / 2 || 1;
+        min = low - padding;
+        max = high + padding;
+    } else if (high !== null) {
+        // "< 200": everything from zero up to the limit is normal
+        min = 0;
+        max = high * 1.5 || 1;
+    } else {
+        // "> 40"
+        min = 0;
+        max = low * 2 || 1;
+    }
+    // Values far outside the interval stretch the scale, keeping the marker off the very edge
+    const margin = (max - min) / 20;
+    if (value <= min) min = value - margin;
+    if (value >= max) max = value + margin;
+    // Lab values are rarely negative: do not draw a scale below zero for them
+    if (min < 0 && value >= 0 && (low === null || low >= 0)) min = 0;
+
+    const position = point => roundPercent(((point - min) / (max - min)) * 100);
+    const normalStart = low === null ? 0 : position(low);
+    const normalEnd = high === null ? 100 : position(high);
+    return { normalStart, normalWidth: roundPercent(normalEnd - normalStart), marker: position(value) };
+}
+
+function describeResult(parameter) {
+    const status = parameter.status || referenceRanges.STATUS.UNKNOWN;
+    return {
+        name: String(parameter.name),
+        value: parameter.value === undefined || parameter.value === null ? '' : String(parameter.value),
+        // Results converted to our canonical unit also show the value as the lab printed it
+        reported: parameter.converted && parameter.originalValue ? String(parameter.originalValue) : '',
+        status,
+        statusClass: STATUS_CLASSES[status] || 'unknown',
+        normalRange: parameter.normalRange ? String(parameter.normalRange) : '',
+        bar: rangeBar(parameter)
+    };
+}
+
+// Group results into panels, in catalog order; each section is { id, name, results, flagged }
+function groupResults(parameters) {
+    const sections = new Map();
+    (Array.isArray(parameters) ? parameters : []).filter(isResult).forEach((parameter, index) => {
+        const placement = PANEL_OF[keyOf(parameter)];
+        const panel = placement ? placement.panel : OTHER_PANEL;
+        if (!sections.has(panel.id)) sections.set(panel.id, { panel, entries: [] });
+        sections.get(panel.id).entries.push({ order: placement ? placement.order : Infinity, index, parameter });
+    });
+
+    const order = panels.map(panel => panel.id).concat(OTHER_PANEL.id);
+    return Array.from(sections.values())
+        .sort((a, b) => order.indexOf(a.panel.id) - order.indexOf(b.panel.id))
+        .map(({ panel, entries }) => {
+            // Catalog order within a panel; repeated tests and tests outside it keep the report's order
+            const results = entries
+                .sort((a, b) => (a.order - b.order) || (a.index - b.index))
+                .map(entry => describeResult(entry.parameter));
+            return {
+                id: panel.id,
+                name: panel.name,
+                results,
+                flagged: results.filter(result => result.statusClass === 'abnormal' || result.statusClass === 'critical').length
+            };
+        });
+}
+
+// Health score gauge: { score, level, label } or null when the report has no score
+function healthScoreGauge(healthScore) {
+    const score = Number(healthScore);
+    if (healthScore === null || healthScore === undefined || healthScore === '' || !Number.isFinite(score)) return null;
+    const clamped = Math.round(Math.max(0, Math.min(100, score)));
+    if (clamped >= 80) return { score: clamped, level: 'good', label: 'Good' };
+    if (clamped >= 60) return { score: clamped, level: 'fair', label: 'Fair' };
+    return { score: clamped, level: 'poor', label: 'Needs attention' };
+}
+
+module.exports = {
+    reportType,
+    rangeBar,
+    groupResults,
+    healthScoreGauge
+};
@@ -0,0 +1,261 @@
+// Line- and column-aware lab report parser
+// Reads the usual lab layout one line at a time: test name, result, unit, reference range, flag.
+// Test names come from catalog/labAliases.json and only match on word boundaries, so "mg" inside
+// "mg/dL" or "MCH" inside "MCHC" are never read as tests. Several tests on one line, results on the
+// line below their name, and tests repeated in the same report are all handled.
+
+const aliasCatalog = require('./catalog/labAliases.json');
+const referenceRanges = require('./referenceRanges');
+const units = require('./units');
+
+// Aliases this short (k, na, hb, ...) get stricter matching
+const SHORT_ALIAS_LENGTH = 2;
+
+// Labels longer than this between a test name and its result mean the number belongs to something else
+// (whitespace does not count: column layouts pad names out to the result column)
+const MAX_LABEL_GAP = 40;
+
+// A number joined to another by a dash ("6-8 weeks") is a range, not a result
+const VALUE_PATTERN = /^([<>≤≥]=?)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?![\d/]|\.\d|[-–]\d)/;
+const FLAG_PATTERN = /(?:^|[\s(\[])(critical\s*high|critical\s*low|high|low|hh|ll|h|l|↑↑|↓↓|↑|↓|\*)(?=$|[\s)\]])/i;
+
+// "*" only says the value is abnormal, not in which direction: the reference range decides
+const FLAGS = {
+    h: 'H', high: 'H', '↑': 'H', '*': null,
+    l: 'L', low: 'L', '↓': 'L',
+    hh: 'HH', '↑↑': 'HH', criticalhigh: 'HH',
+    ll: 'LL', '↓↓': 'LL', criticallow: 'LL'
+};
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Spaces, hyphens, dots and commas inside an alias are optional when matching
+function aliasSource(alias) {
+    return alias.split(/[\s\-.,]+/).filter(Boolean).map(escapeRegex).join('[\\s\\-.,]*');
+}
+
+function buildMatchers() {
+    const matchers = [];
+    Object.entries(aliasCatalog.tests).forEach(([key, aliases]) => {
+        aliases.forEach(alias => matchers.push({ key, alias, short: alias.length <= SHORT_ALIAS_LENGTH }));
+    });
+    aliasCatalog.ignore.forEach(alias => matchers.push({ key: null, alias, short: false }));
+
+    return matchers.map(matcher => ({
+        ...matcher,
+        regex: new RegExp(`(?<![a-z0-9])${aliasSource(matcher.alias)}(?![a-z])`, 'gi')
+    }));
+}
+
+const MATCHERS = buildMatchers();
+
+// Earliest test name at or after position; ties go to the longest alias ("free t4" over "t4")
+// A short alias right after a number is a unit or a dose ("500 mg"), not a test name, unless that
+// number ends the result read just before it (resultEnd) and the alias has a result of its own
+// ("Na 138 K 6.9 Cl 100").
+function findTestName(line, position, resultEnd = null) {
+    let best = null;
+    MATCHERS.forEach(matcher => {
+        matcher.regex.lastIndex = position;
+        const match = matcher.regex.exec(line);
+        if (!match) return;
+        if (matcher.short && /\d\s*$/.test(line.slice(0, match.index))) {
+            const afterResult = resultEnd !== null && match.index >= resultEnd && !line.slice(resultEnd, match.index).trim();
+            if (!afterResult || skipLabel(line, match.index + match[0].length, true) === null) return;
+        }
+
+        const candidate = { key: matcher.key, short: matcher.short, index: match.index, end: match.index + match[0].length };
+        if (!best || candidate.index < best.index || (candidate.index === best.index && candidate.end > best.end)) {
+            best = candidate;
+        }
+    });
+    return best;
+}
+
+// Skip label text between the test name and its result ("(Serum)", ", Fasting", ":")
+// Short aliases must be followed by their result directly. A number inside a word ("A1c") or joined
+// to one ("25-OH", "2-hour") names a different test, so there is no result for this name.
+function skipLabel(line, position, short) {
+    if (short) {
+        const gap = line.slice(position).match(/^[\s:=\-]*(?:\([^)]*\)[\s:=\-]*)?/)[0];
+        return /^[\d<>≤≥]/.test(line.slice(position + gap.length)) ? position + gap.length : null;
+    }
+
+    let cursor = position;
+    let labelLength = 0;
+    while (cursor < line.length && labelLength <= MAX_LABEL_GAP) {
+        const char = line.charAt(cursor);
+        if (char === '(') {
+            const close = line.indexOf(')', cursor);
+            if (close === -1) return null;
+            labelLength += close + 1 - cursor;
+            cursor = close + 1;
+        } else if (/[\d<>≤≥]/.test(char)) {
+            const inWord = cursor > position && /[a-z]/i.test(line.charAt(cursor - 1));
+            return inWord || /^\d[\d.,]*-[a-z]/i.test(line.slice(cursor)) ? null : cursor;
+        } else {
+            if (!/\s/.test(char)) labelLength++;
+            cursor++;
+        }
+    }
+    return null;
+}
+
+function parseFlag(text) {
+    const match = text.match(FLAG_PATTERN);
+    return match ? FLAGS[match[1].toLowerCase().replace(/\s+/g, '')] || null : null;
+}
+
+// Read "result [flag] [unit] [range] [flag]" starting at position; end bounds the reference range text
+function readResult(line, position, end) {
+    const valueMatch = line.slice(position).match(VALUE_PATTERN);
+    if (!valueMatch) return null;
+
+    let cursor = position + valueMatch[0].length;
+    const value = parseFloat(valueMatch[2].replace(/,/g, ''));
+
+    // A flag may sit between the value and the unit ("5.6 H mmol/L", "6.1 High %")
+    let flag = null;
+    const earlyFlag = line.slice(cursor).match(/^\s+(critical\s*high|critical\s*low|high|low|hh|ll|h|l|\*)(?=\s)/i);
+    if (earlyFlag) {
+        flag = FLAGS[earlyFlag[1].toLowerCase().replace(/\s+/g, '')];
+        cursor += earlyFlag[0].length;
+    }
+
+    let unit = null;
+    const unitStart = cursor + (line.slice(cursor).match(/^\s*/)[0].length);
+    const unitMatch = units.matchUnit(line.slice(unitStart));
+    if (unitMatch) {
+        unit = unitMatch.unit;
+        cursor = unitStart + unitMatch.length;
+    }
+
+    const tail = line.slice(cursor, Math.max(cursor, end));
+    const printedRange = referenceRanges.parsePrintedRange(tail);
+    // Some layouts print the unit in the reference range column instead ("<200 mg/dL")
+    if (!unit && printedRange) {
+        const afterRange = tail.slice(tail.indexOf(printedRange.text) + printedRange.text.length).trimStart();
+        const rangeUnit = units.matchUnit(afterRange);
+        if (rangeUnit) unit = rangeUnit.unit;
+    }
+    return {
+        value,
+        comparator: valueMatch[1] || null,
+        unit,
+        printedRange,
+        flag: flag || parseFlag(tail),
+        end: cursor
+    };
+}
+
+// Parse every recognizable test result in the report text
+function parseLabReport(text) {
+    const results = [];
+    if (!text) return results;
+
+    const lines = String(text).split(/\r?\n/);
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        const line = lines[lineIndex];
+        let position = 0;
+        let resultEnd = null;
+
+        while (position < line.length) {
+            const name = findTestName(line, position, resultEnd);
+            if (!name) break;
+
+            const resultStart = skipLabel(line, name.end, name.short);
+            const result = resultStart === null ? null : readResult(line, resultStart, line.length);
+            if (!result) {
+                // Column layouts put the result on the next line, under or after the test name
+                const next = lines[lineIndex + 1];
+                const labelOnly = !/\d/.test(line.slice(name.end));
+                if (name.key && labelOnly && next && VALUE_PATTERN.test(next.trim())) {
+                    const offset = next.length - next.trimStart().length;
+                    results.push(buildResult(name.key, line.slice(position, name.end), readResult(next, offset, next.length), lineIndex + 1, next));
+                    lineIndex++;
+                    break;
+                }
+                position = name.end;
+                continue;
+            }
+
+            // The range and flag run up to the next test on the same line
+            const following = findTestName(line, result.end, result.end);
+            const bounded = following ? readResult(line, resultStart, following.index) : result;
+            resultEnd = result.end;
+
+            if (name.key) {
+                results.push(buildResult(name.key, line.slice(position, resultStart), bounded, lineIndex, line));
+            }
+
+            position = following ? following.index : line.length;
+        }
+    }
+
+    return collapseRepeats(results);
+}
+
+function buildResult(key, label, result, lineIndex, line) {
+    return {
+        key,
+        label: label.replace(/[:\-=\s]+$/, '').trim(),
+        value: result.value,
+        comparator: result.comparator,
+        unit: result.unit,
+        printedRange: result.printedRange,
+        flag: result.flag,
+        line: lineIndex + 1,
+        text: line.trim()
+    };
+}
+
+// Drop repeats (page headers printed again on every page, notes quoting a result) and number genuinely
+// repeated tests. Serial readings of one test can have the same value ("08:00 Glucose 95 mg/dL",
+// "10:00 Glucose 95 mg/dL"), so a same-valued result is only a repeat when its line text is identical,
+// or when it has no reference range of its own and the earlier one had ("Critical value (K 6.8 mmol/L)
+// phoned to ...").
+function collapseRepeats(results) {
+    const seen = new Map();
+    const unique = results.filter(result => {
+        const signature = `${result.key}|${result.value}|${units.normalizeUnit(result.unit) || result.unit}`;
+        const earlier = seen.get(signature) || [];
+        const repeat = earlier.some(previous => previous.text === result.text || (previous.printedRange && !result.printedRange));
+        if (repeat) return false;
+        seen.set(signature, earlier.concat(result));
+        return true;
+    });
+
+    const totals = {};
+    unique.forEach(result => { totals[result.key] = (totals[result.key] || 0) + 1; });
+
+    const counters = {};
+    return unique.map(result => {
+        counters[result.key] = (counters[result.key] || 0) + 1;
+        return { ...result, occurrence: counters[result.key], occurrences: totals[result.key] };
+    });
+}
+
+// Catalog key for a free-text test name ("Serum Creatinine" -> "creatinine"), or null
+function identifyTest(name) {
+    const match = findTestName(String(name || ''), 0);
+    return match ? match.key : null;
+}
+
+// Status implied by the lab's own flag, for values no reference range applies to
+function statusFromFlag(flag) {
+    const statuses = {
+        H: referenceRanges.STATUS.HIGH,
+        L: referenceRanges.STATUS.LOW,
+        HH: referenceRanges.STATUS.CRITICAL_HIGH,
+        LL: referenceRanges.STATUS.CRITICAL_LOW
+    };
+    return statuses[flag] || null;
+}
+
+module.exports = {
+    parseLabReport,
+    identifyTest,
+    statusFromFlag
+};
@@ -0,0 +1,253 @@
+// Longitudinal lab results
+// Every processed report is saved as dated observations (one per numeric parameter, in the
+// analyte's canonical unit) so a user's values can be followed across reports.
+
+const crypto = require('crypto');
+const labParser = require('./labParser');
+const referenceRanges = require('./referenceRanges');
+const units = require('./units');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Changes smaller than this fraction of the previous value count as stable
+const STABLE_THRESHOLD = 0.02;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Stable identifier for a parameter name: a catalog key as given ("systolicBloodPressure"), the catalog
+// key of a printed name ("LDL Cholesterol"), otherwise a slug
+function parameterKey(name) {
+    if (referenceRanges.getAnalyte(name)) return name;
+    return labParser.identifyTest(name) ||
+        String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') ||
+        null;
+}
+
+function toDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+// Collection date printed on the report ("Collected: 12/03/2024", "Sample Date: 2024-03-12", "Reported on 5-Mar-2024")
+// Numeric dates are read day-first, as most labs print them, unless that is impossible.
+function parseReportDate(text) {
+    if (!text) return null;
+    const line = String(text).match(/(?:collect(?:ed|ion)|sample|specimen|drawn|report(?:ed)?)[^\n]{0,20}?(?:date|on|at)?\s*[:\-]?\s*([0-9]{1,4}[\/\-.][0-9a-z]{1,3}[\/\-.][0-9]{2,4})/i);
+    if (!line) return null;
+
+    const parts = line[1].split(/[\/\-.]/);
+    let date = null;
+    if (parts[0].length === 4) {
+        date = toDate(parseInt(parts[0], 10), parseInt(parts[1], 10), parseInt(parts[2], 10));
+    } else {
+        const year = parseInt(parts[2], 10) + (parts[2].length === 2 ? 2000 : 0);
+        const monthName = MONTHS.indexOf(parts[1].toLowerCase().slice(0, 3));
+        if (monthName !== -1) {
+            date = toDate(year, monthName + 1, parseInt(parts[0], 10));
+        } else {
+            date = toDate(year, parseInt(parts[1], 10), parseInt(parts[0], 10)) ||
+                toDate(year, parseInt(parts[0], 10), parseInt(parts[1], 10));
+        }
+    }
+
+    return date && date.getTime() <= Date.now() ? date.toISOString() : null;
+}
+
+// Numeric reading of one report parameter in its canonical unit: { key, name, value, unit, status, referenceRange }
+// Parameters that did not go through the extractor (AI-only values) are converted here so series never mix units.
+function readParameter(parameter) {
+    const key = parameter.key || parameterKey(parameter.name);
+    let value = Number.isFinite(parameter.numericValue)
+        ? parameter.numericValue
+        : parseFloat(String(parameter.value).replace(/^[<>≤≥]=?\s*/, ''));
+    let unit = parameter.unit || '';
+    if (!key || !Number.isFinite(value)) return null;
+
+    const analyte = referenceRanges.getAnalyte(key);
+    if (!Number.isFinite(parameter.numericValue) && analyte) {
+        const measurement = units.normalizeMeasurement(key, value, unit || null);
+        value = measurement.value;
+        unit = measurement.unit;
+    }
+
+    return {
+        key,
+        name: analyte ? analyte.name : parameter.name,
+        value,
+        unit,
+        status: parameter.status,
+        referenceRange: parameter.referenceRange || null
+    };
+}
+
+// Numeric readings of a report's parameters, one per test: blood pressure is split into its two
+// components, and a test printed twice (fasting and post-meal glucose) counts by its first result
+function readParameters(parameters) {
+    const readings = [];
+    const add = reading => {
+        if (reading && !readings.some(existing => existing.key === reading.key)) readings.push(reading);
+    };
+
+    (parameters || []).forEach(parameter => {
+        const pressure = /blood\s*pressure/i.test(parameter.name) && String(parameter.value).match(/(\d{2,3})\s*\/\s*(\d{2,3})/);
+        if (pressure) {
+            ['systolicBloodPressure', 'diastolicBloodPressure'].forEach((key, index) => {
+                const value = parseInt(pressure[index + 1], 10);
+                const evaluation = referenceRanges.evaluate(key, value);
+                add({
+                    key,
+                    name: referenceRanges.getAnalyte(key).name,
+                    value,
+                    unit: 'mmHg',
+                    status: evaluation.status,
+                    referenceRange: evaluation.referenceRange
+                });
+            });
+            return;
+        }
+        add(readParameter(parameter));
+    });
+
+    return readings;
+}
+
+// Turn a processed report into observations; parameters without a numeric value are skipped
+function toObservations(healthData, { userId, uploadId, observedAt, source }) {
+    const recordedAt = new Date().toISOString();
+    return readParameters(healthData.parameters).map(reading => ({
+        id: crypto.randomBytes(8).toString('hex'),
+        userId,
+        uploadId,
+        ...reading,
+        status: reading.status || referenceRanges.STATUS.UNKNOWN,
+        observedAt,
+        recordedAt,
+        source: source || null
+    }));
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Least-squares slope of value over time, in units per 30 days
+function slopePerMonth(points) {
+    if (points.length < 2) return null;
+    const xs = points.map(point => new Date(point.observedAt).getTime() / DAY_MS);
+    const ys = points.map(point => point.value);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    xs.forEach((x, i) => {
+        numerator += (x - meanX) * (ys[i] - meanY);
+        denominator += (x - meanX) * (x - meanX);
+    });
+    return denominator === 0 ? null : round((numerator / denominator) * 30, 4);
+}
+
+function directionOf(change, previous) {
+    if (Math.abs(change) <= Math.abs(previous) * STABLE_THRESHOLD) return 'stable';
+    return change > 0 ? 'up' : 'down';
+}
+
+// Trend for one parameter's observations
+function buildTrend(observations) {
+    const sorted = observations.slice().sort((a, b) => new Date(a.observedAt) - new Date(b.observedAt));
+    const latest = sorted[sorted.length - 1] || null;
+
+    // A series is only comparable in one unit; values in another unit are listed but left out of the maths
+    const unit = latest ? latest.unit : '';
+    const comparable = sorted.filter(observation => observation.unit === unit);
+
+    const series = sorted.map(observation => ({
+        observedAt: observation.observedAt,
+        value: observation.value,
+        unit: observation.unit,
+        status: observation.status,
+        uploadId: observation.uploadId
+    }));
+
+    const trend = {
+        parameter: latest ? { key: latest.key, name: latest.name, unit } : null,
+        count: series.length,
+        series,
+        latest: latest ? series[series.length - 1] : null,
+        previous: null,
+        change: null,
+        direction: null,
+        ratePerMonth: slopePerMonth(comparable),
+        statusChange: null,
+        // Every point where the status band changed, oldest first
+        boundaryCrossings: sorted.slice(1)
+            .map((observation, index) => ({ observation, before: sorted[index] }))
+            .filter(({ observation, before }) => observation.status !== before.status)
+            .map(({ observation, before }) => ({ observedAt: observation.observedAt, from: before.status, to: observation.status }))
+    };
+
+    if (comparable.length < 2) return trend;
+
+    const current = comparable[comparable.length - 1];
+    const previous = comparable[comparable.length - 2];
+    const change = current.value - previous.value;
+    const days = (new Date(current.observedAt) - new Date(previous.observedAt)) / DAY_MS;
+
+    trend.previous = series[sorted.indexOf(previous)];
+    trend.change = {
+        absolute: round(change),
+        percent: previous.value !== 0 ? round((change / previous.value) * 100, 1) : null,
+        days: round(days, 1),
+        perDay: days > 0 ? round(change / days, 4) : null
+    };
+    trend.direction = directionOf(change, previous.value);
+
+    // Moving into or out of a status band (e.g. Normal -> High) is what users care about most
+    if (current.status !== previous.status) {
+        const before = referenceRanges.severityOf(previous.status);
+        const after = referenceRanges.severityOf(current.status);
+        trend.statusChange = {
+            from: previous.status,
+            to: current.status,
+            crossedBoundary: true,
+            outcome: after > before ? 'worsened' : after < before ? 'improved' : 'changed'
+        };
+    } else {
+        trend.statusChange = { from: previous.status, to: current.status, crossedBoundary: false, outcome: 'unchanged' };
+    }
+
+    return trend;
+}
+
+// One line per tracked parameter with its latest value
+function summarizeParameters(observations) {
+    const byKey = new Map();
+    observations.forEach(observation => {
+        const group = byKey.get(observation.key) || [];
+        group.push(observation);
+        byKey.set(observation.key, group);
+    });
+
+    return Array.from(byKey.values()).map(group => {
+        const trend = buildTrend(group);
+        return {
+            key: trend.parameter.key,
+            name: trend.parameter.name,
+            unit: trend.parameter.unit,
+            count: trend.count,
+            latest: trend.latest,
+            direction: trend.direction
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    parameterKey,
+    readParameter,
+    readParameters,
+    parseReportDate,
+    toObservations,
+    buildTrend,
+    summarizeParameters
+};
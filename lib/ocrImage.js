@@ -0,0 +1,206 @@
+// Image cleanup before OCR
+// Phone photos of lab reports are rotated, shadowed, skewed or small. Each image is auto-rotated
+// from its EXIF orientation, turned to grayscale, upscaled when small, contrast-normalized,
+// deskewed and binarized with a local (adaptive) threshold before it reaches Tesseract. The
+// original image is also measured so a poor photo can be rejected with concrete advice.
+
+const sharp = require('sharp');
+
+// Tesseract reads best with capital letters ~30px tall; smaller images are upscaled to this width
+const MIN_WIDTH = 1800;
+const MAX_UPSCALE = 3;
+
+// Skew search range and step, in degrees
+const MAX_SKEW = 10;
+const SKEW_STEP = 0.25;
+// Width of the downscaled copies used to estimate skew and sharpness
+const SKEW_SAMPLE_WIDTH = 1000;
+const SHARPNESS_SAMPLE_WIDTH = 1200;
+
+// A pixel is ink when it is this much darker than its neighbourhood (Bradley-Roth threshold)
+const THRESHOLD_RATIO = 0.15;
+
+const QUALITY_ISSUES = {
+    low_resolution: {
+        message: 'The image resolution is too low to read small print',
+        tip: 'Move closer so the report fills the frame, or use the camera at full resolution'
+    },
+    too_dark: {
+        message: 'The photo is too dark',
+        tip: 'Take the photo in good, even light, near a window or under a lamp'
+    },
+    low_contrast: {
+        message: 'The text does not stand out from the background',
+        tip: 'Avoid shadows and glare on the page; do not photograph a screen'
+    },
+    blurry: {
+        message: 'The photo is blurry',
+        tip: 'Hold the phone steady and tap the screen to focus on the text before taking the photo'
+    },
+    skewed: {
+        message: 'The page is photographed at a steep angle',
+        tip: 'Hold the phone flat above the page so the text lines are straight'
+    }
+};
+
+const GENERAL_TIPS = [
+    'Place the report on a flat, dark surface',
+    'Make sure the whole page is in the frame and in focus'
+];
+
+// Raw single-channel pixels of a sharp pipeline
+async function toGrayPixels(pipeline) {
+    const { data, info } = await pipeline.toColourspace('b-w').raw().toBuffer({ resolveWithObject: true });
+    return { pixels: data, width: info.width, height: info.height };
+}
+
+// Standard deviation of a single-channel pipeline's output (sharp's stats() only sees its input)
+async function outputStdev(pipeline) {
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const stats = await sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } }).stats();
+    return stats.channels[0].stdev;
+}
+
+// Sharpness as the ratio of Laplacian to Sobel edge strength, measured at a fixed width: blur
+// spreads edges out, which weakens the second derivative much faster than the first
+async function measureSharpness(gray) {
+    const sample = () => sharp(gray.pixels, { raw: { width: gray.width, height: gray.height, channels: 1 } })
+        .resize({ width: Math.min(gray.width, SHARPNESS_SAMPLE_WIDTH) });
+    const laplacian = await outputStdev(sample().convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 }));
+    const gradientX = await outputStdev(sample().convolve({ width: 3, height: 3, kernel: [-1, 0, 1, -2, 0, 2, -1, 0, 1], scale: 4, offset: 128 }));
+    const gradientY = await outputStdev(sample().convolve({ width: 3, height: 3, kernel: [-1, -2, -1, 0, 0, 0, 1, 2, 1], scale: 4, offset: 128 }));
+    const gradient = Math.hypot(gradientX, gradientY);
+    return gradient > 0 ? laplacian / gradient : 0;
+}
+
+// Ink mask: pixels darker than their blurred surroundings by THRESHOLD_RATIO
+async function adaptiveThreshold(gray) {
+    const sigma = Math.max(8, Math.round(gray.width / 100));
+    const background = await sharp(gray.pixels, { raw: { width: gray.width, height: gray.height, channels: 1 } })
+        .blur(sigma)
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer();
+
+    const binary = Buffer.alloc(gray.pixels.length);
+    for (let i = 0; i < gray.pixels.length; i++) {
+        binary[i] = gray.pixels[i] < background[i] * (1 - THRESHOLD_RATIO) ? 0 : 255;
+    }
+    return binary;
+}
+
+// Skew angle in degrees (positive = text rises to the right), from the rotation whose horizontal
+// projection of the ink pixels is most peaked: lines of text line up with rows only when level
+async function estimateSkew(gray) {
+    const scale = Math.min(1, SKEW_SAMPLE_WIDTH / gray.width);
+    const sample = scale < 1
+        ? await toGrayPixels(sharp(gray.pixels, { raw: { width: gray.width, height: gray.height, channels: 1 } })
+            .resize({ width: Math.round(gray.width * scale) }))
+        : gray;
+    const binary = await adaptiveThreshold(sample);
+
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < sample.height; y++) {
+        for (let x = 0; x < sample.width; x++) {
+            if (binary[y * sample.width + x] === 0) {
+                xs.push(x);
+                ys.push(y);
+            }
+        }
+    }
+    if (xs.length < 100) return 0;
+
+    const diagonal = Math.ceil(Math.hypot(sample.width, sample.height));
+    let best = { angle: 0, score: -1 };
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW + 1e-9; angle += SKEW_STEP) {
+        const radians = angle * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Int32Array(diagonal * 2);
+        for (let i = 0; i < xs.length; i++) {
+            rows[Math.round(ys[i] * cos + xs[i] * sin) + diagonal]++;
+        }
+        let score = 0;
+        for (let r = 0; r < rows.length; r++) score += rows[r] * rows[r];
+        if (score > best.score) best = { angle, score };
+    }
+    return Math.round(best.angle * 100) / 100;
+}
+
+// Problems with a photo that explain poor OCR, from measurements of the original image
+function assessQuality({ width, height, brightness, contrast, sharpness, skewAngle }) {
+    const issues = [];
+    if (Math.min(width, height) < 700) issues.push('low_resolution');
+    if (brightness < 90) issues.push('too_dark');
+    if (contrast < 25) issues.push('low_contrast');
+    if (sharpness < 0.4) issues.push('blurry');
+    if (Math.abs(skewAngle) >= MAX_SKEW) issues.push('skewed');
+    return issues;
+}
+
+// Clean an image (path or buffer) for OCR
+// Returns { buffer, width, height, steps, skewAngle, quality } where buffer is a binarized PNG.
+async function preprocessImage(input, { minWidth = MIN_WIDTH } = {}) {
+    const steps = ['autoRotate', 'grayscale'];
+    let gray = await toGrayPixels(sharp(input).rotate().flatten({ background: '#ffffff' }).greyscale());
+
+    const stats = await sharp(gray.pixels, { raw: { width: gray.width, height: gray.height, channels: 1 } }).stats();
+    const measurements = {
+        width: gray.width,
+        height: gray.height,
+        brightness: Math.round(stats.channels[0].mean),
+        contrast: Math.round(stats.channels[0].stdev),
+        sharpness: Math.round(await measureSharpness(gray) * 100) / 100
+    };
+
+    const raw = () => sharp(gray.pixels, { raw: { width: gray.width, height: gray.height, channels: 1 } });
+
+    if (gray.width < minWidth) {
+        const width = Math.min(minWidth, gray.width * MAX_UPSCALE);
+        gray = await toGrayPixels(raw().resize({ width, kernel: 'lanczos3' }));
+        steps.push('upscale');
+    }
+
+    gray = await toGrayPixels(raw().normalise());
+    steps.push('normalize');
+
+    const skewAngle = await estimateSkew(gray);
+    if (Math.abs(skewAngle) >= SKEW_STEP) {
+        gray = await toGrayPixels(raw().rotate(skewAngle, { background: '#ffffff' }));
+        steps.push('deskew');
+    }
+
+    const binary = await adaptiveThreshold(gray);
+    steps.push('threshold');
+
+    const buffer = await sharp(binary, { raw: { width: gray.width, height: gray.height, channels: 1 } }).png().toBuffer();
+    const quality = { ...measurements, skewAngle };
+    return {
+        buffer,
+        width: gray.width,
+        height: gray.height,
+        steps,
+        skewAngle,
+        quality: { ...quality, issues: assessQuality(quality) }
+    };
+}
+
+// Structured "retake photo" hint for OCR results too unreliable to parse
+function buildRetakeHint({ confidence, minConfidence, issues = [] }) {
+    const known = issues.filter(issue => QUALITY_ISSUES[issue]);
+    return {
+        code: 'RETAKE_PHOTO',
+        message: 'The report could not be read reliably. Please take a clearer photo and upload it again.',
+        confidence,
+        minConfidence,
+        issues: known.map(issue => ({ code: issue, message: QUALITY_ISSUES[issue].message })),
+        tips: known.map(issue => QUALITY_ISSUES[issue].tip).concat(GENERAL_TIPS)
+    };
+}
+
+module.exports = {
+    preprocessImage,
+    assessQuality,
+    buildRetakeHint
+};
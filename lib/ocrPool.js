@@ -0,0 +1,193 @@
+// Pool of warm Tesseract workers
+// Starting a worker and loading its language data takes seconds and a lot of memory, so workers are
+// started once, on demand, and reused; at most `size` run at once and further images wait in a queue.
+// A worker is replaced after maxJobsPerWorker images (Tesseract's WASM heap only grows) and whenever
+// a job times out, since a stuck worker cannot be interrupted.
+
+const Tesseract = require('tesseract.js');
+
+// Create a pool
+// - size: workers running at once
+// - maxJobsPerWorker: images a worker reads before it is replaced
+// - maxQueue: images allowed to wait; further ones are rejected at once
+// - timeoutMs: limit for one image, and for starting a worker
+function createOcrPool({ language = 'eng', size = 2, maxJobsPerWorker = 50, maxQueue = 100, timeoutMs = 60000, createWorker = Tesseract.createWorker }) {
+    const workers = [];
+    const queue = [];
+    let starting = 0;
+    let nextId = 1;
+    let closed = false;
+    const counters = { started: 0, startFailures: 0, recycled: 0, completed: 0, failed: 0, timedOut: 0, rejected: 0 };
+    const totals = { jobs: 0, waitMs: 0, runMs: 0 };
+
+    // Resolves to a worker entry; tesseract.js reports start failures (e.g. language data that cannot
+    // be downloaded) only to errorHandler and never settles createWorker, hence the timer
+    function startWorker() {
+        const entry = { id: nextId++, worker: null, busy: false, jobs: 0, onProgress: null, startedAt: null };
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const settle = error => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (error) reject(error);
+                else resolve(entry);
+            };
+            const timer = setTimeout(() => settle(new Error(`OCR worker did not start within ${timeoutMs}ms`)), timeoutMs);
+
+            createWorker(language, 1, {
+                logger: message => {
+                    if (entry.onProgress && message.status === 'recognizing text') entry.onProgress(message.progress);
+                },
+                // After startup, job errors also reject the job's own promise
+                errorHandler: error => {
+                    if (!entry.worker) settle(new Error(String(error)));
+                }
+            }).then(worker => {
+                entry.worker = worker;
+                entry.startedAt = new Date().toISOString();
+                if (settled) {
+                    worker.terminate().catch(() => {});
+                    return;
+                }
+                settle();
+            }, error => settle(error));
+        });
+    }
+
+    function retire(entry) {
+        const index = workers.indexOf(entry);
+        if (index !== -1) workers.splice(index, 1);
+        entry.worker.terminate().catch(error => console.error(`Error stopping OCR worker ${entry.id}:`, error.message));
+    }
+
+    function withTimeout(promise, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(message);
+                error.timedOut = true;
+                reject(error);
+            }, timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async function run(entry, job) {
+        entry.busy = true;
+        entry.onProgress = job.onProgress;
+        const startedAt = Date.now();
+        totals.jobs++;
+        totals.waitMs += startedAt - job.queuedAt;
+        let stuck = false;
+
+        try {
+            const { data } = await withTimeout(entry.worker.recognize(job.image), `OCR timed out after ${timeoutMs}ms`);
+            counters.completed++;
+            job.resolve(data);
+        } catch (error) {
+            counters.failed++;
+            if (error.timedOut) {
+                counters.timedOut++;
+                stuck = true;
+            }
+            job.reject(error);
+        } finally {
+            totals.runMs += Date.now() - startedAt;
+            entry.jobs++;
+            entry.busy = false;
+            entry.onProgress = null;
+        }
+
+        if (stuck || closed) {
+            retire(entry);
+        } else if (entry.jobs >= maxJobsPerWorker) {
+            counters.recycled++;
+            retire(entry);
+        }
+        dispatch();
+    }
+
+    // Hand queued images to idle workers, starting workers while below size
+    function dispatch() {
+        while (queue.length > 0) {
+            const idle = workers.find(entry => !entry.busy);
+            if (idle) {
+                run(idle, queue.shift());
+                continue;
+            }
+            // One start per waiting image, so a slow start does not hold up other idle capacity
+            if (workers.length + starting >= size || starting >= queue.length) return;
+
+            starting++;
+            startWorker().then(entry => {
+                starting--;
+                counters.started++;
+                if (closed) {
+                    entry.worker.terminate().catch(() => {});
+                    return;
+                }
+                workers.push(entry);
+                dispatch();
+            }, error => {
+                starting--;
+                counters.startFailures++;
+                console.error('❌ OCR worker failed to start:', error.message);
+                // Without a worker the oldest image cannot be read; the rest try a fresh start
+                const job = queue.shift();
+                if (job) {
+                    counters.failed++;
+                    job.reject(error);
+                }
+                dispatch();
+            });
+        }
+    }
+
+    return {
+        // OCR one image (path or buffer); resolves to Tesseract's result data
+        // onProgress(fraction) follows Tesseract's recognition progress
+        recognize(image, { onProgress = null } = {}) {
+            if (closed) return Promise.reject(new Error('OCR pool is closed'));
+            if (queue.length >= maxQueue) {
+                counters.rejected++;
+                return Promise.reject(new Error(`OCR queue is full (${maxQueue} images waiting)`));
+            }
+            return new Promise((resolve, reject) => {
+                queue.push({ image, onProgress, resolve, reject, queuedAt: Date.now() });
+                dispatch();
+            });
+        },
+
+        stats() {
+            return {
+                size,
+                workers: workers.length,
+                starting,
+                busy: workers.filter(entry => entry.busy).length,
+                idle: workers.filter(entry => !entry.busy).length,
+                queued: queue.length,
+                maxQueue,
+                maxJobsPerWorker,
+                ...counters,
+                averageWaitMs: totals.jobs > 0 ? Math.round(totals.waitMs / totals.jobs) : null,
+                averageRunMs: totals.jobs > 0 ? Math.round(totals.runMs / totals.jobs) : null,
+                workerJobs: workers.map(entry => ({ id: entry.id, busy: entry.busy, jobs: entry.jobs, startedAt: entry.startedAt }))
+            };
+        },
+
+        // Stop idle workers now and busy ones when their image is done; queued images are rejected
+        async close() {
+            closed = true;
+            queue.splice(0).forEach(job => job.reject(new Error('OCR pool is closed')));
+            await Promise.all(workers.filter(entry => !entry.busy).map(entry => {
+                workers.splice(workers.indexOf(entry), 1);
+                return entry.worker.terminate().catch(() => {});
+            }));
+        }
+    };
+}
+
+module.exports = {
+    createOcrPool
+};
@@ -0,0 +1,166 @@
+// Page-by-page PDF text extraction with an OCR fallback
+// The text layer is read with pdf-parse. Pages with little or no text are usually scans: the images
+// painted on them are decoded locally by pdf.js, converted to PNG with sharp and sent through OCR,
+// and the result is merged with whatever text layer the page has. Every page gets a record of how
+// its text was obtained.
+
+const pdfParse = require('pdf-parse');
+const sharp = require('sharp');
+// The pdf.js build pdf-parse uses, for its operator codes
+const { OPS } = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// pdf.js ImageKind values
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// Join text items into lines the way pdf-parse's default renderer does
+function joinTextItems(items) {
+    let lastY;
+    let text = '';
+    items.forEach(item => {
+        text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+    });
+    return text;
+}
+
+function countCharacters(text) {
+    return text.replace(/\s/g, '').length;
+}
+
+// Decoded pdf.js image -> PNG buffer
+async function imageToPng(image) {
+    let pixels = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length);
+    let channels = image.kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+
+    // 1-bit images are packed 8 pixels per byte, rows padded to whole bytes; a set bit is white
+    if (image.kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+        const rowBytes = Math.ceil(image.width / 8);
+        const gray = Buffer.alloc(image.width * image.height);
+        for (let y = 0; y < image.height; y++) {
+            for (let x = 0; x < image.width; x++) {
+                const bit = pixels[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+                gray[y * image.width + x] = bit ? 255 : 0;
+            }
+        }
+        pixels = gray;
+        channels = 1;
+    }
+
+    return sharp(pixels, { raw: { width: image.width, height: image.height, channels } }).png().toBuffer();
+}
+
+// Images painted on a page in drawing order, skipping ones too small to hold text (logos, stamps)
+async function getPageImages(page, minSize) {
+    const operators = await page.getOperatorList();
+    const images = [];
+    const seen = new Set();
+
+    for (let i = 0; i < operators.fnArray.length; i++) {
+        const fn = operators.fnArray[i];
+        const args = operators.argsArray[i];
+        let image = null;
+        if (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) {
+            if (seen.has(args[0])) continue;
+            seen.add(args[0]);
+            image = await new Promise(resolve => page.objs.get(args[0], resolve));
+        } else if (fn === OPS.paintInlineImageXObject) {
+            image = args[0];
+        }
+        if (image && image.data && image.width >= minSize && image.height >= minSize) {
+            images.push(image);
+        }
+    }
+    return images;
+}
+
+// Extract a PDF's text; pages whose text layer is shorter than minPageTextChars are OCR'd
+// recognize(pngBuffer, onProgress) resolves to { text, confidence, issues }; onProgress(fraction) reports
+// progress through the document. Returns { text, pages, pageTexts } where each page is
+// { page, method: 'text' | 'ocr' | 'text+ocr' | 'empty', textLayerCharacters, ocrCharacters, images },
+// plus ocrConfidence (0-100) and qualityIssues for pages that were OCR'd, and pageTexts holds each
+// page's text in the same order.
+async function extractPdfText(buffer, { recognize, onProgress = () => {}, minPageTextChars = 40, minImageSize = 200, maxOcrPages = 20 }) {
+    const pages = [];
+    const texts = {};
+    let ocrPages = 0;
+
+    const readPage = async page => {
+        // pdf-parse does not pass the page count; pdf.js keeps it on the page's transport
+        const pageCount = page.transport.numPages;
+        const record = { page: page.pageNumber, method: 'text', textLayerCharacters: 0, ocrCharacters: 0, images: 0 };
+        pages.push(record);
+
+        const content = await page.getTextContent();
+        const layerText = joinTextItems(content.items).trim();
+        record.textLayerCharacters = countCharacters(layerText);
+        if (record.textLayerCharacters >= minPageTextChars) {
+            onProgress(page.pageNumber / pageCount);
+            return layerText;
+        }
+
+        const images = await getPageImages(page, minImageSize);
+        record.images = images.length;
+        if (images.length > 0 && ocrPages >= maxOcrPages) {
+            record.ocrSkipped = true;
+        } else if (images.length > 0) {
+            ocrPages++;
+            const results = [];
+            for (let i = 0; i < images.length; i++) {
+                const imageProgress = fraction => onProgress((page.pageNumber - 1 + (i + fraction) / images.length) / pageCount);
+                try {
+                    results.push(await recognize(await imageToPng(images[i]), imageProgress));
+                } catch (error) {
+                    console.error(`OCR failed on page ${page.pageNumber}:`, error.message);
+                    record.error = 'OCR failed';
+                }
+            }
+            const ocrText = results.map(result => String(result.text || '').trim()).filter(Boolean).join('\n');
+            record.ocrCharacters = countCharacters(ocrText);
+            if (results.length > 0) {
+                // Confidence of the page's images, weighted by how much text each produced
+                const weights = results.map(result => Math.max(1, countCharacters(String(result.text || ''))));
+                const total = weights.reduce((sum, weight) => sum + weight, 0);
+                record.ocrConfidence = Math.round(results.reduce((sum, result, i) => sum + (result.confidence || 0) * weights[i], 0) / total);
+                record.qualityIssues = Array.from(new Set([].concat(...results.map(result => result.issues || []))));
+            }
+            onProgress(page.pageNumber / pageCount);
+            if (ocrText) {
+                record.method = layerText ? 'text+ocr' : 'ocr';
+                return [layerText, ocrText].filter(Boolean).join('\n');
+            }
+        }
+
+        if (!layerText) record.method = 'empty';
+        return layerText;
+    };
+
+    const renderPage = async page => {
+        texts[page.pageNumber] = await readPage(page);
+        return texts[page.pageNumber];
+    };
+
+    // A Uint8Array copy, because pdf.js reads the whole underlying ArrayBuffer and small Node
+    // Buffers share a pooled one; image decoding is done by pdf.js since Node has no native decoder
+    const data = await pdfParse(
+        { data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' },
+        { pagerender: renderPage }
+    );
+
+    // pdf-parse swallows page errors; pages it never reached are recorded as empty
+    for (let page = 1; page <= data.numpages; page++) {
+        if (!pages.some(record => record.page === page)) {
+            pages.push({ page, method: 'empty', textLayerCharacters: 0, ocrCharacters: 0, images: 0 });
+        }
+    }
+
+    pages.sort((a, b) => a.page - b.page);
+    return {
+        text: data.text,
+        pages,
+        pageTexts: pages.map(record => texts[record.page] || '')
+    };
+}
+
+module.exports = {
+    extractPdfText
+};
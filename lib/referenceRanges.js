@@ -0,0 +1,210 @@
+// Reference range engine
+// Ranges live in catalog/referenceRanges.json. For each analyte the engine picks the most specific
+// range for the patient's sex, age band and unit, or uses the interval printed on the report itself.
+// Statuses are graded: Normal, Low, High, Critical Low, Critical High (Unknown when no range applies).
+
+const catalog = require('./catalog/referenceRanges.json');
+
+const STATUS = {
+    NORMAL: 'Normal',
+    LOW: 'Low',
+    HIGH: 'High',
+    CRITICAL_LOW: 'Critical Low',
+    CRITICAL_HIGH: 'Critical High',
+    UNKNOWN: 'Unknown'
+};
+
+function normalizeUnit(unit) {
+    return (unit || '').toLowerCase().replace(/\s+/g, '').replace('μ', 'µ').replace(/^u(?=[a-z]+\/)/, 'µ');
+}
+
+// Accepts "M", "male", "F", "Female", etc.
+function normalizeSex(value) {
+    if (!value) return null;
+    const sex = String(value).trim().toLowerCase();
+    if (sex === 'm' || sex === 'male' || sex === 'man') return 'male';
+    if (sex === 'f' || sex === 'female' || sex === 'woman') return 'female';
+    return null;
+}
+
+function normalizeAge(value) {
+    const age = parseFloat(value);
+    return Number.isFinite(age) && age >= 0 && age < 130 ? age : null;
+}
+
+function getAnalyte(key) {
+    return key && key !== '_comment' && Object.prototype.hasOwnProperty.call(catalog, key) ? catalog[key] : null;
+}
+
+// Pick the most specific catalog range for the patient; age bands outrank sex
+function selectRange(key, { sex, age, unit } = {}) {
+    const analyte = getAnalyte(key);
+    if (!analyte) return null;
+
+    const patientSex = normalizeSex(sex);
+    const patientAge = normalizeAge(age);
+    const wantedUnit = normalizeUnit(unit || analyte.unit);
+
+    let best = null;
+    let bestScore = -1;
+    analyte.ranges.forEach(range => {
+        if (normalizeUnit(range.unit || analyte.unit) !== wantedUnit) return;
+
+        let score = 0;
+        if (range.sex) {
+            if (range.sex !== patientSex) return;
+            score += 1;
+        }
+        if (range.minAge !== undefined || range.maxAge !== undefined) {
+            if (patientAge === null) return;
+            if (range.minAge !== undefined && patientAge < range.minAge) return;
+            if (range.maxAge !== undefined && patientAge >= range.maxAge) return;
+            score += 2;
+        }
+
+        if (score > bestScore) {
+            best = range;
+            bestScore = score;
+        }
+    });
+
+    if (!best) return null;
+    return {
+        low: best.low !== undefined ? best.low : null,
+        high: best.high !== undefined ? best.high : null,
+        criticalLow: best.criticalLow !== undefined ? best.criticalLow : null,
+        criticalHigh: best.criticalHigh !== undefined ? best.criticalHigh : null,
+        unit: best.unit || analyte.unit,
+        source: 'catalog'
+    };
+}
+
+// Grade a value against a range
+function classify(value, { low, high, criticalLow, criticalHigh }) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return STATUS.UNKNOWN;
+    if (criticalLow !== null && criticalLow !== undefined && value < criticalLow) return STATUS.CRITICAL_LOW;
+    if (criticalHigh !== null && criticalHigh !== undefined && value > criticalHigh) return STATUS.CRITICAL_HIGH;
+    if (low !== null && low !== undefined && value < low) return STATUS.LOW;
+    if (high !== null && high !== undefined && value > high) return STATUS.HIGH;
+    return STATUS.NORMAL;
+}
+
+// Parse a reference interval as labs print it: "13.5 - 17.5", "(4.0-11.0)", "< 200", "> 40", "up to 1.2"
+// When a line prints several (risk tiers), the first one is the normal interval.
+function parsePrintedRange(text) {
+    if (!text) return null;
+    const number = '(\\d+(?:\\.\\d+)?)';
+    const candidates = [];
+
+    const between = text.match(new RegExp(`${number}\\s*(?:-|–|—|to)\\s*${number}`, 'i'));
+    if (between) {
+        const low = parseFloat(between[1]);
+        const high = parseFloat(between[2]);
+        if (low <= high) {
+            candidates.push({ index: between.index, range: { low, high, text: between[0].trim() } });
+        }
+    }
+
+    // "< OR =" and "> OR =" are how some US labs print ≤ and ≥
+    const below = text.match(new RegExp(`(?:<\\s*or\\s*=|<=?|≤|less\\s+than|up\\s+to|below)\\s*${number}`, 'i'));
+    if (below) {
+        candidates.push({ index: below.index, range: { low: null, high: parseFloat(below[1]), text: below[0].trim() } });
+    }
+
+    const above = text.match(new RegExp(`(?:>\\s*or\\s*=|>=?|≥|more\\s+than|greater\\s+than|above)\\s*${number}`, 'i'));
+    if (above) {
+        candidates.push({ index: above.index, range: { low: parseFloat(above[1]), high: null, text: above[0].trim() } });
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates.sort((a, b) => a.index - b.index)[0].range;
+}
+
+function formatRange(range) {
+    if (!range) return '';
+    const unit = range.unit ? ` ${range.unit}` : '';
+    if (range.low !== null && range.high !== null) return `${range.low} - ${range.high}${unit}`;
+    if (range.high !== null) return `≤ ${range.high}${unit}`;
+    if (range.low !== null) return `≥ ${range.low}${unit}`;
+    return '';
+}
+
+// Evaluate one value; a printed interval from the report replaces the catalog's normal bounds,
+// while the catalog's critical limits still apply when the units agree.
+function evaluate(key, value, { sex, age, unit, printedRange } = {}) {
+    const catalogRange = selectRange(key, { sex, age, unit });
+
+    let range = catalogRange;
+    if (printedRange && (printedRange.low !== null || printedRange.high !== null)) {
+        range = {
+            low: printedRange.low,
+            high: printedRange.high,
+            criticalLow: catalogRange ? catalogRange.criticalLow : null,
+            criticalHigh: catalogRange ? catalogRange.criticalHigh : null,
+            unit: unit || (catalogRange && catalogRange.unit) || '',
+            source: 'report'
+        };
+    }
+
+    if (!range) {
+        return { status: STATUS.UNKNOWN, referenceRange: null, normalRange: '' };
+    }
+
+    return {
+        status: classify(value, range),
+        referenceRange: range,
+        normalRange: formatRange(range)
+    };
+}
+
+// Best-effort age and sex from the report header ("Age/Sex: 45 Y / M", "Gender: Female", "Age: 34 years")
+function parseDemographics(text) {
+    const result = { sex: null, age: null };
+    if (!text) return result;
+
+    const combined = text.match(/age\s*\/\s*(?:sex|gender)\s*[:\-]?\s*(\d{1,3})\s*(?:y(?:ea)?rs?|y)?\s*\/\s*(male|female|m|f)\b/i);
+    if (combined) {
+        result.age = normalizeAge(combined[1]);
+        result.sex = normalizeSex(combined[2]);
+        return result;
+    }
+
+    const sexMatch = text.match(/\b(?:sex|gender)\s*[:\-]?\s*(male|female|m|f)\b/i);
+    if (sexMatch) result.sex = normalizeSex(sexMatch[1]);
+
+    const ageMatch = text.match(/\bage\s*[:\-]?\s*(\d{1,3})\s*(?:y(?:ea)?rs?|y)?\b/i);
+    if (ageMatch) result.age = normalizeAge(ageMatch[1]);
+
+    return result;
+}
+
+// 0 = normal, 1 = out of range, 2 = critical; also understands the older Moderate/Critical statuses
+function severityOf(status) {
+    if (isCritical(status)) return 2;
+    if (status === STATUS.LOW || status === STATUS.HIGH || status === 'Moderate') return 1;
+    return 0;
+}
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => (severityOf(status) > severityOf(worst) ? status : worst), STATUS.NORMAL);
+}
+
+function isCritical(status) {
+    return status === STATUS.CRITICAL_LOW || status === STATUS.CRITICAL_HIGH || status === 'Critical';
+}
+
+module.exports = {
+    STATUS,
+    normalizeSex,
+    normalizeAge,
+    getAnalyte,
+    selectRange,
+    classify,
+    parsePrintedRange,
+    formatRange,
+    evaluate,
+    parseDemographics,
+    severityOf,
+    worstStatus,
+    isCritical
+};
@@ -0,0 +1,246 @@
+// Validation of AI report analyses
+// Model output is parsed leniently (code fences, surrounding prose), checked against the report
+// analysis schema, and then cross-checked with the pattern extractor so values the model invented
+// never reach the client.
+
+const labParser = require('./labParser');
+
+const STATUSES = ['Normal', 'Low', 'High', 'Critical Low', 'Critical High', 'Critical', 'Moderate', 'Unknown'];
+const MAX_PARAMETERS = 200;
+
+// Shape the model is asked for, quoted back to it in repair prompts
+const SCHEMA_DESCRIPTION = `{
+  "healthScore": number between 0 and 100,
+  "parameters": [
+    {
+      "name": string,
+      "value": string with the measured value and unit, exactly as printed in the report,
+      "status": one of ${STATUSES.map(status => `"${status}"`).join(', ')},
+      "unit": string,
+      "normalRange": string (empty when the report prints none)
+    }
+  ],
+  "summary": string
+}`;
+
+// Pull the first complete JSON object out of a model reply
+function extractJson(text) {
+    if (!text) return { error: 'Empty response' };
+    const source = String(text).replace(/```(?:json)?/gi, '');
+    const start = source.indexOf('{');
+    if (start === -1) return { error: 'No JSON object found in the response' };
+
+    // Walk to the matching closing brace, ignoring braces inside strings
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            try {
+                return { value: JSON.parse(source.slice(start, i + 1)) };
+            } catch (error) {
+                return { error: `Invalid JSON: ${error.message}` };
+            }
+        }
+    }
+    return { error: 'Unterminated JSON object' };
+}
+
+// Numbers sent as strings are accepted; anything else non-numeric is not
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && /^\s*-?\d+(?:\.\d+)?\s*$/.test(value)) return parseFloat(value);
+    return null;
+}
+
+function normalizeStatus(status) {
+    if (typeof status !== 'string') return null;
+    const wanted = status.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    return STATUSES.find(candidate => candidate.toLowerCase() === wanted) || null;
+}
+
+// Check a parsed analysis against the schema
+// Returns { valid, errors, warnings, value } where value is the cleaned analysis (unknown keys dropped).
+function validateReportAnalysis(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['Response must be a JSON object'], warnings, value: null };
+    }
+
+    const healthScore = toNumber(data.healthScore);
+    if (healthScore === null) {
+        errors.push('healthScore must be a number');
+    } else if (healthScore < 0 || healthScore > 100) {
+        errors.push('healthScore must be between 0 and 100');
+    } else if (typeof data.healthScore === 'string') {
+        warnings.push('healthScore was sent as a string');
+    }
+
+    if (typeof data.summary !== 'string' || !data.summary.trim()) {
+        errors.push('summary must be a non-empty string');
+    }
+
+    const parameters = [];
+    if (!Array.isArray(data.parameters)) {
+        errors.push('parameters must be an array');
+    } else if (data.parameters.length > MAX_PARAMETERS) {
+        errors.push(`parameters must have at most ${MAX_PARAMETERS} entries`);
+    } else {
+        data.parameters.forEach((parameter, index) => {
+            const where = `parameters[${index}]`;
+            if (!parameter || typeof parameter !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (typeof parameter.name !== 'string' || !parameter.name.trim()) {
+                errors.push(`${where}.name must be a non-empty string`);
+                return;
+            }
+
+            const unit = typeof parameter.unit === 'string' ? parameter.unit.trim() : '';
+            let value = parameter.value;
+            if (typeof value === 'number') {
+                value = unit ? `${value} ${unit}` : String(value);
+                warnings.push(`${where}.value was sent as a number`);
+            }
+            if (typeof value !== 'string' || !value.trim()) {
+                errors.push(`${where}.value must be a string`);
+                return;
+            }
+
+            const status = normalizeStatus(parameter.status);
+            if (!status) {
+                errors.push(`${where}.status must be one of ${STATUSES.join(', ')} (got ${JSON.stringify(parameter.status)})`);
+                return;
+            }
+
+            parameters.push({
+                name: parameter.name.trim(),
+                value: value.trim(),
+                status,
+                unit,
+                normalRange: typeof parameter.normalRange === 'string' ? parameter.normalRange.trim() : ''
+            });
+        });
+    }
+
+    const valid = errors.length === 0;
+    return {
+        valid,
+        errors,
+        warnings,
+        value: valid ? { healthScore: Math.round(healthScore), parameters, summary: data.summary.trim() } : null
+    };
+}
+
+// Follow-up prompt asking the model to fix its own output
+function buildRepairPrompt(reportText, previousOutput, errors) {
+    return `You were asked to analyze this medical report:
+${String(reportText || '').slice(0, 12000)}
+
+Your previous answer could not be used because it does not match the required JSON format.
+
+Problems found:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Your previous answer:
+${String(previousOutput || '').slice(0, 8000)}
+
+Return ONLY a corrected JSON object with exactly this structure and nothing else:
+${SCHEMA_DESCRIPTION}
+
+Only include parameters whose values are printed in the report. Do not invent values.`;
+}
+
+// Numbers in a piece of text, reading "2,50,000" and "7,800" as single values
+function numbersIn(text) {
+    return (String(text || '').match(/\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?/g) || [])
+        .map(token => parseFloat(token.replace(/,/g, '')));
+}
+
+function sameNumber(a, b) {
+    return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * 0.01;
+}
+
+// Cross-check validated AI parameters with the pattern extractor's readings
+// - confirmed: the extractor read the same value for the same test
+// - corrected: the extractor read a different value; its reading replaces the model's
+// - in-source: the extractor has no reading, but the value is printed in the report
+// - extracted: found by the extractor only
+// Values that appear nowhere in the report text are dropped and listed in discardedParameters.
+function crossCheckAnalysis(aiAnalysis, extracted, text) {
+    const printedNumbers = new Set(numbersIn(text));
+    const lowerText = String(text || '').toLowerCase();
+
+    const keyOf = parameter => parameter.key || labParser.identifyTest(parameter.name);
+    const readings = {};
+    (extracted.parameters || []).forEach(parameter => {
+        const key = keyOf(parameter);
+        if (key && !readings[key]) readings[key] = parameter;
+    });
+
+    const used = new Set();
+    const parameters = [];
+    const discardedParameters = [];
+
+    aiAnalysis.parameters.forEach(parameter => {
+        const numbers = numbersIn(parameter.value);
+        const key = labParser.identifyTest(parameter.name);
+        const reading = key && !used.has(readings[key]) ? readings[key] : null;
+
+        // Both the converted and the printed value of the extractor's reading count as agreement
+        const readingNumbers = reading
+            ? [reading.numericValue, parseFloat(String(reading.originalValue).replace(/^[<>≤≥]=?/, ''))].filter(Number.isFinite)
+            : [];
+        if (numbers.length > 0 && readingNumbers.some(number => sameNumber(number, numbers[0]))) {
+            used.add(reading);
+            parameters.push({ ...reading, name: parameter.name, verification: 'confirmed' });
+            return;
+        }
+
+        const printed = numbers.length > 0
+            ? numbers.every(number => printedNumbers.has(number))
+            : lowerText.includes(parameter.value.toLowerCase());
+        if (!printed) {
+            discardedParameters.push({ name: parameter.name, value: parameter.value, reason: 'Value does not appear in the report text' });
+            return;
+        }
+
+        if (reading) {
+            used.add(reading);
+            parameters.push({ ...reading, name: parameter.name, verification: 'corrected', aiValue: parameter.value });
+        } else {
+            parameters.push({ ...parameter, verification: 'in-source' });
+        }
+    });
+
+    // Add what the model missed; tests without a catalog key (blood pressure) are matched by name
+    (extracted.parameters || []).forEach(parameter => {
+        if (used.has(parameter) || parameter.name === 'General Health Assessment') return;
+        const key = keyOf(parameter);
+        const covered = parameters.some(existing => (key
+            ? keyOf(existing) === key
+            : existing.name.toLowerCase() === parameter.name.toLowerCase()));
+        if (!covered) parameters.push({ ...parameter, verification: 'extracted' });
+    });
+
+    return { ...aiAnalysis, parameters, discardedParameters };
+}
+
+module.exports = {
+    STATUSES,
+    SCHEMA_DESCRIPTION,
+    extractJson,
+    validateReportAnalysis,
+    buildRepairPrompt,
+    crossCheckAnalysis
+};
@@ -0,0 +1,110 @@
+// One report from several files
+// Lab results often arrive as several photos, one per page, or as a PDF plus a photo of one page.
+// The pages of all files are joined in upload order and analyzed as one report; afterwards each
+// parameter is traced back to the file and page it was printed on, and a result printed on more
+// than one page (a repeated summary table, the same page photographed twice) is kept once.
+
+const labParser = require('./labParser');
+const units = require('./units');
+const { readParameter } = require('./observations');
+
+// Values within this fraction of each other are the same result (unit conversions round)
+const SAME_VALUE_TOLERANCE = 0.01;
+
+function splitLines(text) {
+    return String(text || '').split(/\r?\n/);
+}
+
+// Join the pages of every file: files are [{ name, pages, pageTexts }] in upload order, pageTexts
+// aligned with pages. Returns { text, segments: [{ file, fileName, page, startLine, lineCount }] },
+// with file numbers 1-based and startLine counted like labParser's line numbers.
+function joinPages(files) {
+    const texts = [];
+    const segments = [];
+    let line = 1;
+    files.forEach((file, index) => {
+        file.pages.forEach((page, pageIndex) => {
+            const text = String(file.pageTexts[pageIndex] || '').trim();
+            if (!text) return;
+            const lineCount = splitLines(text).length;
+            segments.push({ file: index + 1, fileName: file.name, page: page.page, startLine: line, lineCount });
+            texts.push(text);
+            // Pages are separated by one blank line
+            line += lineCount + 1;
+        });
+    });
+    return { text: texts.join('\n\n'), segments };
+}
+
+function segmentAt(segments, line) {
+    return segments.find(segment => line >= segment.startLine && line < segment.startLine + segment.lineCount) || null;
+}
+
+function locationOf(segment) {
+    return { file: segment.file, fileName: segment.fileName, page: segment.page };
+}
+
+function sameValue(a, b) {
+    return Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * SAME_VALUE_TOLERANCE;
+}
+
+// Line a parameter was read from: the extractor records it; AI-only parameters are looked up by
+// a line naming the test (or the parameter) and printing its value
+function findLine(parameter, lines) {
+    if (parameter.source && Number.isInteger(parameter.source.line)) return parameter.source.line;
+
+    const number = String(parameter.value || '').match(/\d+(?:\.\d+)?/);
+    if (!number) return null;
+    const key = parameter.key || labParser.identifyTest(parameter.name);
+    const name = String(parameter.name || '').toLowerCase();
+    const index = lines.findIndex(line => line.includes(number[0]) &&
+        (key ? labParser.identifyTest(line) === key : line.toLowerCase().includes(name)));
+    return index === -1 ? null : index + 1;
+}
+
+// Every page that prints the same test with the same value, in any unit
+function findPrintings(reading, segments, lines) {
+    return segments.filter(segment => {
+        const text = lines.slice(segment.startLine - 1, segment.startLine - 1 + segment.lineCount).join('\n');
+        return labParser.parseLabReport(text).some(printed => {
+            if (printed.key !== reading.key) return false;
+            const value = units.normalizeMeasurement(printed.key, printed.value, printed.unit).value;
+            return Number.isFinite(value) && sameValue(value, reading.value);
+        });
+    }).map(locationOf);
+}
+
+// Add origin ({ file, fileName, page } the value was read from) and foundIn (every page printing
+// it) to each parameter, and drop parameters that repeat an earlier one's test and value
+function attachProvenance(parameters, { text, segments = [] }) {
+    const lines = splitLines(text);
+    const kept = [];
+    const readings = [];
+
+    (parameters || []).forEach(parameter => {
+        const reading = readParameter(parameter);
+        const duplicate = reading && readings.some(existing => existing &&
+            existing.key === reading.key && sameValue(existing.value, reading.value));
+        if (duplicate) return;
+
+        const line = findLine(parameter, lines);
+        const segment = line ? segmentAt(segments, line) : null;
+        const foundIn = reading ? findPrintings(reading, segments, lines) : [];
+        if (segment && !foundIn.some(location => location.file === segment.file && location.page === segment.page)) {
+            foundIn.unshift(locationOf(segment));
+        }
+
+        kept.push({ ...parameter, origin: segment ? locationOf(segment) : foundIn[0] || null, foundIn });
+        readings.push(reading);
+    });
+
+    return {
+        parameters: kept,
+        duplicatesRemoved: (parameters || []).length - kept.length
+    };
+}
+
+module.exports = {
+    joinPages,
+    attachProvenance
+};
@@ -0,0 +1,97 @@
+// Side-by-side comparison of two reports
+// Parameters are matched by catalog key, so names that differ between the pattern extractor and the
+// AI ("LDL" vs "LDL Cholesterol") still line up, and values are compared in their canonical unit.
+
+const referenceRanges = require('./referenceRanges');
+const { readParameters } = require('./observations');
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// How far a value lies outside its normal range (0 when inside or when no range is known)
+function distanceOutside(reading) {
+    const range = reading.referenceRange || referenceRanges.selectRange(reading.key, { unit: reading.unit });
+    if (!range) return 0;
+    if (range.low !== null && range.low !== undefined && reading.value < range.low) return range.low - reading.value;
+    if (range.high !== null && range.high !== undefined && reading.value > range.high) return reading.value - range.high;
+    return 0;
+}
+
+// 'improved', 'worsened' or 'unchanged' for a test present in both reports
+function compareReadings(before, after) {
+    const severityBefore = referenceRanges.severityOf(before.status);
+    const severityAfter = referenceRanges.severityOf(after.status);
+    if (severityAfter < severityBefore) return 'improved';
+    if (severityAfter > severityBefore) return 'worsened';
+
+    // Same severity band: closer to the normal range is better
+    const distanceBefore = distanceOutside(before);
+    const distanceAfter = distanceOutside(after);
+    if (distanceAfter < distanceBefore) return 'improved';
+    if (distanceAfter > distanceBefore) return 'worsened';
+    return 'unchanged';
+}
+
+function describeReading(reading) {
+    return reading ? { name: reading.name, value: reading.value, unit: reading.unit, status: reading.status || null } : null;
+}
+
+// Compare two reports; each side is { id, kind, date, healthScore, parameters }
+function compareReports(base, target) {
+    const before = readParameters(base.parameters);
+    const after = readParameters(target.parameters);
+    const keys = [];
+    before.concat(after).forEach(reading => {
+        if (!keys.includes(reading.key)) keys.push(reading.key);
+    });
+
+    const parameters = keys.map(key => {
+        const from = before.find(reading => reading.key === key) || null;
+        const to = after.find(reading => reading.key === key) || null;
+        const entry = {
+            key,
+            name: (to || from).name,
+            change: from && to ? null : to ? 'new' : 'missing',
+            before: describeReading(from),
+            after: describeReading(to),
+            difference: null,
+            statusChanged: false
+        };
+        if (!from || !to) return entry;
+
+        entry.change = compareReadings(from, to);
+        if (from.unit === to.unit) {
+            const absolute = to.value - from.value;
+            entry.difference = {
+                absolute: round(absolute),
+                percent: from.value !== 0 ? round((absolute / from.value) * 100, 1) : null
+            };
+        }
+        entry.statusChanged = (from.status || null) !== (to.status || null);
+        return entry;
+    });
+
+    const counts = { new: 0, missing: 0, improved: 0, worsened: 0, unchanged: 0 };
+    parameters.forEach(entry => { counts[entry.change]++; });
+
+    const scoreBefore = Number.isFinite(base.healthScore) ? base.healthScore : null;
+    const scoreAfter = Number.isFinite(target.healthScore) ? target.healthScore : null;
+
+    return {
+        base: { id: base.id, kind: base.kind, date: base.date, healthScore: scoreBefore },
+        target: { id: target.id, kind: target.kind, date: target.date, healthScore: scoreAfter },
+        healthScoreChange: scoreBefore !== null && scoreAfter !== null ? scoreAfter - scoreBefore : null,
+        summary: counts,
+        // Worst news first: worsened, new, missing, improved, unchanged
+        parameters: parameters.sort((a, b) => {
+            const order = ['worsened', 'new', 'missing', 'improved', 'unchanged'];
+            return order.indexOf(a.change) - order.indexOf(b.change) || a.name.localeCompare(b.name);
+        })
+    };
+}
+
+module.exports = {
+    compareReports
+};
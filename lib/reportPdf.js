@@ -0,0 +1,274 @@
+// PDF rendering of stored reports
+// Draws the same content as the HTML report view with pdfkit, so no headless browser is needed.
+// Every page gets a header with the report ID and a footer with the disclaimer and "Page N of M";
+// tables repeat their column headings when they run onto a new page, and long notes flow across pages.
+
+const PDFDocument = require('pdfkit');
+const { htmlToText } = require('./htmlTemplates');
+
+const DISCLAIMER = 'This report contains AI-generated analysis and should not be used as the sole basis for medical diagnosis or treatment decisions. Always consult with qualified healthcare professionals for proper medical advice.';
+const FOOTER_DISCLAIMER = 'AI-generated analysis - not a diagnosis. Consult a qualified healthcare professional.';
+
+const COLORS = {
+    brand: '#3498db',
+    text: '#2c3e50',
+    muted: '#7f8c8d',
+    rule: '#dfe6e9',
+    shade: '#f4f7f9',
+    urgent: '#e74c3c',
+    normal: '#27ae60'
+};
+
+const STATUS_COLORS = {
+    Normal: COLORS.normal,
+    Low: '#e67e22',
+    High: '#e67e22',
+    Moderate: '#e67e22',
+    'Critical Low': COLORS.urgent,
+    'Critical High': COLORS.urgent,
+    Critical: COLORS.urgent
+};
+
+const PAGE_MARGINS = { top: 70, bottom: 70, left: 50, right: 50 };
+const CELL_PADDING = 5;
+
+// The built-in PDF fonts only cover Windows-1252: spell out the symbols reports use and drop the rest (emoji)
+function pdfText(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/≤/g, '<=')
+        .replace(/≥/g, '>=')
+        .replace(/μ/g, 'µ')
+        .replace(/²/g, '2')
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/[^\n\t\x20-\x7e\xa0-\xff]/g, '')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+}
+
+// Doctor notes are entered as HTML in some clients: keep the line breaks, drop the markup
+function notesText(value) {
+    return pdfText(htmlToText(value));
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pageBottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+}
+
+// Start a new page unless `height` still fits on this one
+function ensureSpace(doc, height) {
+    if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+function sectionTitle(doc, title) {
+    // A heading is never left alone at the bottom of a page
+    ensureSpace(doc, 60);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.brand).text(title, doc.page.margins.left, doc.y);
+    const y = doc.y + 2;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(1).strokeColor(COLORS.brand).stroke();
+    doc.y = y + 8;
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+}
+
+function labelValue(doc, label, value, color = COLORS.text) {
+    const x = doc.page.margins.left;
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(label, x, y, { width: 110 });
+    doc.font('Helvetica').fillColor(color).text(pdfText(value) || '-', x + 115, y, { width: contentWidth(doc) - 115 });
+    doc.y = Math.max(doc.y, y + 14) + 2;
+}
+
+// Table with wrapped cells; columns are [{ title, width (fraction), align, color(row) }]
+// A row that does not fit moves to the next page, which starts with the column headings again.
+function table(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+    const widths = columns.map(column => column.width * width);
+    const cellWidth = index => widths[index] - CELL_PADDING * 2;
+
+    const rowHeight = (cells, font) => {
+        doc.font(font).fontSize(9);
+        return Math.max(...cells.map((cell, index) => doc.heightOfString(cell || '-', { width: cellWidth(index) }))) + CELL_PADDING * 2;
+    };
+
+    const drawRow = (cells, { font, fill, colors = [] }) => {
+        const height = rowHeight(cells, font);
+        const y = doc.y;
+        if (fill) doc.rect(left, y, width, height).fill(fill);
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.font(font).fontSize(9).fillColor(colors[index] || COLORS.text)
+                .text(cell || '-', x + CELL_PADDING, y + CELL_PADDING, { width: cellWidth(index), align: columns[index].align || 'left' });
+            x += widths[index];
+        });
+        doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+        doc.y = y + height;
+    };
+
+    const headings = columns.map(column => column.title);
+    const drawHeadings = () => drawRow(headings, { font: 'Helvetica-Bold', fill: COLORS.shade });
+
+    ensureSpace(doc, rowHeight(headings, 'Helvetica-Bold') + (rows[0] ? rowHeight(rows[0].cells, 'Helvetica') : 0));
+    drawHeadings();
+    rows.forEach(row => {
+        if (doc.y + rowHeight(row.cells, 'Helvetica') > pageBottom(doc)) {
+            doc.addPage();
+            drawHeadings();
+        }
+        drawRow(row.cells, { font: 'Helvetica', colors: row.colors });
+    });
+    doc.x = left;
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+}
+
+function percent(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? `${(number * 100).toFixed(1)}%` : '-';
+}
+
+// Header and footer of every page, drawn once all pages exist so the page count is known
+function decoratePages(doc, reportId, generatedAt) {
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        const { left, right, bottom } = doc.page.margins;
+        const width = doc.page.width - left - right;
+        // Text in the bottom margin would otherwise start yet another page
+        doc.page.margins.bottom = 0;
+
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.brand).text('HEALTHEYE', left, 30, { width, lineBreak: false });
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text(`Medical Report - ID ${pdfText(reportId)}`, left, 32, { width, align: 'right', lineBreak: false });
+        doc.moveTo(left, 48).lineTo(left + width, 48).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+
+        const footerY = doc.page.height - bottom + 20;
+        doc.moveTo(left, footerY - 6).lineTo(left + width, footerY - 6).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+        doc.font('Helvetica').fontSize(7.5).fillColor(COLORS.muted)
+            .text(FOOTER_DISCLAIMER, left, footerY, { width: width - 90, lineBreak: false })
+            .text(`Page ${index - range.start + 1} of ${range.count}`, left, footerY, { width, align: 'right', lineBreak: false })
+            .text(`Report ${pdfText(reportId)} | Generated ${formatDate(generatedAt)}`, left, footerY + 11, { width, lineBreak: false });
+
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+// Render a stored report's data as a PDF; resolves to a Buffer
+// Handles shared reports ({ patientName, topPrediction, confidence, predictions, doctorNotes, isUrgent })
+// as well as processed uploads ({ healthScore, summary, parameters }).
+function renderReportPdf(reportData, reportId, { generatedAt = new Date() } = {}) {
+    const {
+        patientName = 'Patient',
+        topPrediction = null,
+        confidence = 0,
+        createdAt = new Date().toISOString(),
+        predictions = [],
+        doctorNotes = '',
+        isUrgent = false,
+        parameters = [],
+        summary = '',
+        healthScore = null
+    } = reportData || {};
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margins: PAGE_MARGINS,
+            bufferPages: true,
+            info: {
+                Title: `Medical Report ${reportId}`,
+                Author: 'HealthEye',
+                Subject: `Medical report for ${pdfText(patientName)}`
+            }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text('Medical Report');
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('AI-Powered Medical Imaging & Diagnostic Services');
+
+            sectionTitle(doc, 'Patient Information');
+            labelValue(doc, 'Patient Name', patientName);
+            labelValue(doc, 'Report ID', reportId);
+            labelValue(doc, 'Date & Time', formatDate(createdAt));
+            labelValue(doc, 'Status', isUrgent ? 'URGENT' : 'NORMAL', isUrgent ? COLORS.urgent : COLORS.normal);
+
+            if (topPrediction || predictions.length > 0) {
+                sectionTitle(doc, 'AI Analysis Results');
+                if (topPrediction) {
+                    labelValue(doc, 'Primary finding', topPrediction);
+                    labelValue(doc, 'Confidence', percent(confidence));
+                }
+                // Unlike the web view, the PDF lists every prediction
+                if (predictions.length > 0) {
+                    doc.moveDown(0.5);
+                    table(doc, [
+                        { title: '#', width: 0.08, align: 'right' },
+                        { title: 'Finding', width: 0.72 },
+                        { title: 'Confidence', width: 0.2, align: 'right' }
+                    ], predictions.map((prediction, index) => ({
+                        cells: [String(index + 1), pdfText(prediction.label || prediction.name || 'Unknown'), percent(prediction.confidence || prediction.prob || 0)]
+                    })));
+                }
+            }
+
+            const results = (parameters || []).filter(parameter => parameter && parameter.name);
+            if (results.length > 0 || summary || Number.isFinite(healthScore)) {
+                sectionTitle(doc, 'Lab Results');
+                if (Number.isFinite(healthScore)) labelValue(doc, 'Health score', `${healthScore}/100`);
+                if (summary) {
+                    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(pdfText(summary), { width: contentWidth(doc) });
+                    doc.moveDown(0.5);
+                }
+                if (results.length > 0) {
+                    table(doc, [
+                        { title: 'Test', width: 0.32 },
+                        { title: 'Result', width: 0.22 },
+                        { title: 'Status', width: 0.16 },
+                        { title: 'Reference range', width: 0.3 }
+                    ], results.map(parameter => ({
+                        cells: [pdfText(parameter.name), pdfText(parameter.value), pdfText(parameter.status), pdfText(parameter.normalRange)],
+                        colors: [null, null, STATUS_COLORS[parameter.status] || COLORS.text, null]
+                    })));
+                }
+            }
+
+            const notes = notesText(doctorNotes);
+            if (notes) {
+                sectionTitle(doc, "Doctor's Notes");
+                doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(notes, { width: contentWidth(doc), paragraphGap: 4 });
+            }
+
+            sectionTitle(doc, 'Important Disclaimer');
+            doc.font('Helvetica').fontSize(9.5).fillColor(COLORS.text).text(DISCLAIMER, { width: contentWidth(doc) });
+            doc.moveDown(0.8);
+            ensureSpace(doc, 30);
+            doc.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted)
+                .text(`Report verification: this is an authentic HealthEye medical report. Report ID: ${pdfText(reportId)} | Generated: ${formatDate(generatedAt)}. Digitally verified; no manual signature required.`, { width: contentWidth(doc) });
+
+            decoratePages(doc, reportId, generatedAt);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = {
+    renderReportPdf
+};
@@ -0,0 +1,99 @@
+// Share links for stored reports
+// A share is an unguessable token with an expiry, an optional PIN and a per-view access log.
+// Only a SHA-256 hash of the token is stored, so a leaked storage file does not leak working links.
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hashPin(pin, salt) {
+    return crypto.scryptSync(String(pin), salt, 32).toString('hex');
+}
+
+// Create a share; the plain token is returned once and never stored
+function createShare({ expiresInHours, pin } = {}) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+
+    const share = {
+        id: crypto.randomBytes(6).toString('hex'),
+        tokenHash: hashToken(token),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiresInHours ? new Date(now + expiresInHours * 60 * 60 * 1000).toISOString() : null,
+        revokedAt: null,
+        pin: null,
+        failedPinAttempts: 0,
+        accessLog: []
+    };
+
+    if (pin !== undefined && pin !== null && String(pin) !== '') {
+        const salt = crypto.randomBytes(16).toString('hex');
+        share.pin = { salt, hash: hashPin(pin, salt) };
+    }
+
+    return { share, token };
+}
+
+function findShare(record, token) {
+    const tokenHash = hashToken(token);
+    return (record.shares || []).find(share => share.tokenHash === tokenHash) || null;
+}
+
+// 'active', 'expired', 'revoked' or 'locked' (too many wrong PINs)
+function getShareStatus(share, maxPinAttempts) {
+    if (share.revokedAt) return 'revoked';
+    if (share.expiresAt && Date.now() > new Date(share.expiresAt).getTime()) return 'expired';
+    if (share.pin && share.failedPinAttempts >= maxPinAttempts) return 'locked';
+    return 'active';
+}
+
+// Check a PIN attempt, counting failures on the share
+function verifyPin(share, pin) {
+    if (!share.pin) return true;
+    if (pin === undefined || pin === null || String(pin) === '') return false;
+
+    const expected = Buffer.from(share.pin.hash, 'hex');
+    const actual = Buffer.from(hashPin(pin, share.pin.salt), 'hex');
+    const ok = crypto.timingSafeEqual(expected, actual);
+
+    share.failedPinAttempts = ok ? 0 : share.failedPinAttempts + 1;
+    return ok;
+}
+
+// Append a view to the access log, keeping only the most recent entries
+function recordAccess(share, { userAgent, via }, limit) {
+    share.accessLog.push({
+        at: new Date().toISOString(),
+        userAgent: userAgent || null,
+        via
+    });
+    if (share.accessLog.length > limit) {
+        share.accessLog = share.accessLog.slice(share.accessLog.length - limit);
+    }
+}
+
+// Share details safe to show the owner (no token or PIN hashes)
+function describeShare(share, maxPinAttempts) {
+    return {
+        id: share.id,
+        status: getShareStatus(share, maxPinAttempts),
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        revokedAt: share.revokedAt,
+        pinProtected: !!share.pin,
+        viewCount: share.accessLog.length,
+        accessLog: share.accessLog
+    };
+}
+
+module.exports = {
+    hashToken,
+    createShare,
+    findShare,
+    getShareStatus,
+    verifyPin,
+    recordAccess,
+    describeShare
+};
@@ -0,0 +1,339 @@
+// Storage adapters for conversation history and shared reports
+// Both adapters expose the same async interface:
+//   appendMessage(entry), getHistory(userId), clearHistory(userId)
+//   saveReport(record), getReport(reportId), findReportByShareToken(token), listReports(filter)
+//   appendObservations(observations), getObservations(userId, key)
+//   saveUpload(record), getUpload(uploadId)
+//   saveJob(record), getJob(jobId), listJobs(filter), deleteJob(jobId)
+//   recordUnmappedTerms(entries), listUnmappedTerms()
+//   saveWebhookDelivery(record), getWebhookDelivery(deliveryId), listWebhookDeliveries(filter), deleteWebhookDelivery(deliveryId)
+// Stored reports carry a schemaVersion; records written by older versions are upgraded on read.
+
+const fs = require('fs');
+const path = require('path');
+const { findShare } = require('./reportShares');
+
+const REPORT_SCHEMA_VERSION = 3;
+
+// Upgrades from schemaVersion N to N + 1, applied in order on read
+// Version 1 is the original { id, data, createdAt, accessCount } shape, which had no version field.
+const REPORT_MIGRATIONS = {
+    0: record => ({
+        id: record.id,
+        data: record.data || {},
+        createdAt: record.createdAt || new Date().toISOString(),
+        accessCount: record.accessCount || 0
+    }),
+    // Version 2 ties each report to the user who stored it; older reports have no owner
+    1: record => ({ ...record, ownerId: record.ownerId || null }),
+    // Version 3 replaces the bare accessCount with share links that carry their own access log.
+    // Old links were report IDs, which are guessable: those reports start with no share and have to be shared again.
+    2: record => {
+        const { accessCount, ...rest } = record;
+        return { ...rest, shares: record.shares || [] };
+    }
+};
+
+function migrateReport(record) {
+    if (!record) return null;
+
+    let migrated = { ...record };
+    let version = migrated.schemaVersion || 0;
+    while (version < REPORT_SCHEMA_VERSION) {
+        migrated = REPORT_MIGRATIONS[version](migrated);
+        version++;
+    }
+    migrated.schemaVersion = REPORT_SCHEMA_VERSION;
+    return migrated;
+}
+
+// Plain in-memory storage (lost on restart)
+function createMemoryStorage({ history = [], reports = {}, observations = [], uploads = {}, jobs = {}, unmappedTerms = {}, webhookDeliveries = {} } = {}) {
+    let messages = history.slice();
+    const reportMap = new Map(Object.entries(reports));
+    const observationList = observations.slice();
+    const uploadMap = new Map(Object.entries(uploads));
+    const jobMap = new Map(Object.entries(jobs));
+    const unmappedMap = new Map(Object.entries(unmappedTerms));
+    const deliveryMap = new Map(Object.entries(webhookDeliveries));
+
+    return {
+        driver: 'memory',
+
+        async appendMessage(entry) {
+            messages.push(entry);
+            return entry;
+        },
+
+        async getHistory(userId) {
+            return messages.filter(msg => msg.userId === userId);
+        },
+
+        async clearHistory(userId) {
+            const before = messages.length;
+            messages = messages.filter(msg => msg.userId !== userId);
+            return before - messages.length;
+        },
+
+        async saveReport(record) {
+            const stored = { ...record, schemaVersion: REPORT_SCHEMA_VERSION };
+            reportMap.set(stored.id, stored);
+            return stored;
+        },
+
+        async getReport(reportId) {
+            return migrateReport(reportMap.get(reportId));
+        },
+
+        async findReportByShareToken(token) {
+            for (const record of reportMap.values()) {
+                const report = migrateReport(record);
+                if (findShare(report, token)) return report;
+            }
+            return null;
+        },
+
+        async listReports(filter = () => true) {
+            return Array.from(reportMap.values()).map(migrateReport).filter(filter);
+        },
+
+        async appendObservations(entries) {
+            observationList.push(...entries);
+            return entries;
+        },
+
+        // A user's lab observations, optionally for one parameter key
+        async getObservations(userId, key) {
+            return observationList.filter(entry => entry.userId === userId && (!key || entry.key === key));
+        },
+
+        // Processed uploads: { id, userId, observedAt, createdAt, source, data }
+        async saveUpload(record) {
+            uploadMap.set(record.id, record);
+            return record;
+        },
+
+        async getUpload(uploadId) {
+            return uploadMap.get(uploadId) || null;
+        },
+
+        // Background processing jobs (see lib/jobQueue.js)
+        async saveJob(record) {
+            jobMap.set(record.id, record);
+            return record;
+        },
+
+        async getJob(jobId) {
+            return jobMap.get(jobId) || null;
+        },
+
+        async listJobs(filter = () => true) {
+            return Array.from(jobMap.values()).filter(filter);
+        },
+
+        async deleteJob(jobId) {
+            return jobMap.delete(jobId);
+        },
+
+        // Test names and units the terminology table could not code (see lib/terminology.js),
+        // counted per reason and lower-cased name: { reason, name, key, units, count, firstSeen, lastSeen }
+        async recordUnmappedTerms(entries) {
+            const now = new Date().toISOString();
+            entries.forEach(entry => {
+                const id = `${entry.reason}|${String(entry.name).trim().toLowerCase()}`;
+                const term = unmappedMap.get(id) || {
+                    reason: entry.reason,
+                    name: String(entry.name).trim(),
+                    key: entry.key || null,
+                    units: [],
+                    count: 0,
+                    firstSeen: now
+                };
+                if (entry.unit && !term.units.includes(entry.unit)) term.units.push(entry.unit);
+                term.count++;
+                term.lastSeen = now;
+                unmappedMap.set(id, term);
+            });
+            return entries;
+        },
+
+        async listUnmappedTerms() {
+            return Array.from(unmappedMap.values());
+        },
+
+        // Outbound webhook deliveries, pending, delivered or dead-lettered (see lib/webhooks.js)
+        async saveWebhookDelivery(record) {
+            deliveryMap.set(record.id, record);
+            return record;
+        },
+
+        async getWebhookDelivery(deliveryId) {
+            return deliveryMap.get(deliveryId) || null;
+        },
+
+        async listWebhookDeliveries(filter = () => true) {
+            return Array.from(deliveryMap.values()).filter(filter);
+        },
+
+        async deleteWebhookDelivery(deliveryId) {
+            return deliveryMap.delete(deliveryId);
+        },
+
+        // Raw state for adapters that persist it
+        snapshot() {
+            return {
+                history: messages,
+                reports: Object.fromEntries(reportMap),
+                observations: observationList,
+                uploads: Object.fromEntries(uploadMap),
+                jobs: Object.fromEntries(jobMap),
+                unmappedTerms: Object.fromEntries(unmappedMap),
+                webhookDeliveries: Object.fromEntries(deliveryMap)
+            };
+        }
+    };
+}
+
+// Read a JSON file, falling back when it does not exist yet
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${filePath}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+// Write via a temp file and rename so a crash never leaves half-written JSON behind
+async function writeJsonAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+// File-backed storage: keeps everything in memory and persists each change to JSON files in dir
+function createFileStorage({ dir }) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const historyPath = path.join(dir, 'history.json');
+    const reportsPath = path.join(dir, 'reports.json');
+    const observationsPath = path.join(dir, 'observations.json');
+    const uploadsPath = path.join(dir, 'uploads.json');
+    const jobsPath = path.join(dir, 'jobs.json');
+    const unmappedTermsPath = path.join(dir, 'unmapped-terms.json');
+    const webhookDeliveriesPath = path.join(dir, 'webhook-deliveries.json');
+
+    // reports.json written by older builds may be an array of records instead of an id map
+    let savedReports = readJson(reportsPath, {});
+    if (Array.isArray(savedReports)) {
+        savedReports = Object.fromEntries(savedReports.map(record => [record.id, record]));
+    }
+
+    const memory = createMemoryStorage({
+        history: readJson(historyPath, []),
+        reports: savedReports,
+        observations: readJson(observationsPath, []),
+        uploads: readJson(uploadsPath, {}),
+        jobs: readJson(jobsPath, {}),
+        unmappedTerms: readJson(unmappedTermsPath, {}),
+        webhookDeliveries: readJson(webhookDeliveriesPath, {})
+    });
+
+    // Serialize writes so concurrent requests cannot interleave them
+    // A failed write rejects for its caller, so nothing is reported as saved that is not on disk;
+    // the writes queued after it still run.
+    let pending = Promise.resolve();
+    function persist(filePath, data) {
+        const write = pending.then(() => writeJsonAtomic(filePath, data));
+        pending = write.catch(() => {});
+        return write;
+    }
+
+    return {
+        ...memory,
+        driver: 'file',
+
+        async appendMessage(entry) {
+            await memory.appendMessage(entry);
+            await persist(historyPath, memory.snapshot().history);
+            return entry;
+        },
+
+        async clearHistory(userId) {
+            const removed = await memory.clearHistory(userId);
+            await persist(historyPath, memory.snapshot().history);
+            return removed;
+        },
+
+        async saveReport(record) {
+            const stored = await memory.saveReport(record);
+            await persist(reportsPath, memory.snapshot().reports);
+            return stored;
+        },
+
+        async appendObservations(entries) {
+            await memory.appendObservations(entries);
+            await persist(observationsPath, memory.snapshot().observations);
+            return entries;
+        },
+
+        async saveUpload(record) {
+            await memory.saveUpload(record);
+            await persist(uploadsPath, memory.snapshot().uploads);
+            return record;
+        },
+
+        async saveJob(record) {
+            await memory.saveJob(record);
+            await persist(jobsPath, memory.snapshot().jobs);
+            return record;
+        },
+
+        async deleteJob(jobId) {
+            const removed = await memory.deleteJob(jobId);
+            await persist(jobsPath, memory.snapshot().jobs);
+            return removed;
+        },
+
+        async recordUnmappedTerms(entries) {
+            await memory.recordUnmappedTerms(entries);
+            await persist(unmappedTermsPath, memory.snapshot().unmappedTerms);
+            return entries;
+        },
+
+        async saveWebhookDelivery(record) {
+            await memory.saveWebhookDelivery(record);
+            await persist(webhookDeliveriesPath, memory.snapshot().webhookDeliveries);
+            return record;
+        },
+
+        async deleteWebhookDelivery(deliveryId) {
+            const removed = await memory.deleteWebhookDelivery(deliveryId);
+            await persist(webhookDeliveriesPath, memory.snapshot().webhookDeliveries);
+            return removed;
+        }
+    };
+}
+
+// Pick the adapter named in config
+function createStorage({ driver, dir }) {
+    if (driver === 'memory') {
+        return createMemoryStorage();
+    }
+    if (driver === 'file') {
+        return createFileStorage({ dir });
+    }
+    throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+    REPORT_SCHEMA_VERSION,
+    migrateReport,
+    createMemoryStorage,
+    createFileStorage,
+    createStorage
+};
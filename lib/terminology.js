@@ -0,0 +1,115 @@
+// LOINC and UCUM coding of lab results
+// Codes live in catalog/terminology.json, keyed like the reference range catalog. Parameters from the
+// pattern extractor carry their catalog key; AI parameters are named however the model likes, so
+// their names go through the same alias table (labParser) first. Names and units without a code are
+// returned as unmapped so the table can be extended.
+
+const table = require('./catalog/terminology.json');
+const referenceRanges = require('./referenceRanges');
+const labParser = require('./labParser');
+const units = require('./units');
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+// Blood pressure is one parameter ("120/80 mmHg") but two catalog analytes; it is coded as the panel
+const BLOOD_PRESSURE_KEY = 'bloodPressure';
+
+// Catalog analytes the table has no code for are worth knowing about at startup
+const uncoded = Object.keys(require('./catalog/referenceRanges.json'))
+    .filter(key => key !== '_comment' && !table.tests[key]);
+if (uncoded.length > 0) {
+    console.warn(`⚠️ No LOINC code for catalog analyte(s): ${uncoded.join(', ')}`);
+}
+
+// Reverse lookups for messages that arrive already coded (HL7 v2 OBX segments)
+const KEYS_BY_LOINC = {};
+Object.entries(table.tests).forEach(([key, entry]) => { KEYS_BY_LOINC[entry.loinc] = key; });
+const UNITS_BY_UCUM = {};
+Object.entries(table.units).forEach(([unit, code]) => {
+    if (!UNITS_BY_UCUM[code]) UNITS_BY_UCUM[code] = unit;
+});
+
+// UCUM code of a unit as printed ("mg/dl", "lakhs/cumm", "µIU/mL"), or null when unknown
+function ucumFor(unit) {
+    const key = units.normalizeUnit(unit);
+    return key ? table.units[key] || null : null;
+}
+
+// { loinc, display, ucum } for a catalog key; ucum is the UCUM code of the analyte's canonical unit
+function codeFor(key) {
+    const entry = key && key !== '_comment' ? table.tests[key] : null;
+    if (!entry) return null;
+    const analyte = referenceRanges.getAnalyte(key);
+    const unit = entry.unit || (analyte && analyte.unit);
+    return { loinc: entry.loinc, display: entry.display, ucum: unit ? ucumFor(unit) : null };
+}
+
+// Catalog key of a LOINC code; null for codes that are not catalog analytes
+function keyForLoinc(code) {
+    const key = KEYS_BY_LOINC[String(code || '').trim()];
+    return key && referenceRanges.getAnalyte(key) ? key : null;
+}
+
+// Our display spelling of a UCUM unit code ("10*3/uL" is "thousand/uL"), or null when unknown
+function unitForUcum(code) {
+    const unit = UNITS_BY_UCUM[String(code || '').trim()];
+    return unit ? units.displayUnit(unit) : null;
+}
+
+// Catalog key of a parameter: its own, else the test its name refers to
+function keyOf(parameter) {
+    if (parameter.key) return parameter.key;
+    if (/blood\s*pressure/i.test(parameter.name) && /\d{2,3}\s*\/\s*\d{2,3}/.test(String(parameter.value))) {
+        return BLOOD_PRESSURE_KEY;
+    }
+    return labParser.identifyTest(parameter.name);
+}
+
+// Unit a parameter is reported in: its unit field, else the unit printed after the value ("13.2 g/dL")
+function unitOf(parameter) {
+    if (parameter.unit && String(parameter.unit).trim()) return String(parameter.unit).trim();
+    const printed = String(parameter.value === undefined || parameter.value === null ? '' : parameter.value)
+        .replace(/^\s*(?:<=|>=|<|>|≤|≥)?\s*-?\d+(?:[.,]\d+)*(?:\s*\/\s*\d+)?\s*/, '');
+    const match = printed ? units.matchUnit(printed) : null;
+    return match ? match.unit : null;
+}
+
+// Add { key, loinc: { code, display }, ucum } to every parameter
+// Returns { parameters, unmapped: [{ name, unit, key, reason }] }, reason being 'unknown-test' when
+// the name matches no coded test and 'unknown-unit' when the unit has no UCUM code.
+function codeParameters(parameters) {
+    const unmapped = [];
+    const coded = (parameters || []).map(parameter => {
+        if (!parameter || !parameter.name || parameter.name === 'General Health Assessment') return parameter;
+
+        const key = keyOf(parameter);
+        const code = codeFor(key);
+        const unit = unitOf(parameter);
+        // Results that arrive coded (HL7 v2) keep the sender's LOINC code for tests the table lacks
+        if (!code && parameter.loinc) return { ...parameter, ucum: parameter.ucum || (unit ? ucumFor(unit) : null) };
+        if (!code) {
+            unmapped.push({ name: String(parameter.name), unit, key: key || null, reason: 'unknown-test' });
+            return parameter;
+        }
+
+        const ucum = unit ? ucumFor(unit) : code.ucum;
+        if (unit && !ucum) unmapped.push({ name: String(parameter.name), unit, key, reason: 'unknown-unit' });
+
+        const result = { ...parameter, loinc: { code: code.loinc, display: code.display }, ucum };
+        // Only catalog analytes get a key; other code holders (the blood pressure panel) stay keyless
+        if (referenceRanges.getAnalyte(key)) result.key = key;
+        return result;
+    });
+    return { parameters: coded, unmapped };
+}
+
+module.exports = {
+    LOINC,
+    UCUM,
+    ucumFor,
+    codeFor,
+    keyForLoinc,
+    unitForUcum,
+    codeParameters
+};
@@ -0,0 +1,133 @@
+// Red-flag triage for chat messages
+// Runs on every chat message before any AI provider is called, so escalation never depends on what
+// (or whether) a model answers. Red flags and their phrasings live in catalog/redFlags.json and
+// hotline numbers in catalog/emergencyContacts.json. A flag preceded by a negation in the same
+// clause ("no chest pain", "I don't have shortness of breath") does not count.
+
+const { flags } = require('./catalog/redFlags.json');
+const contacts = require('./catalog/emergencyContacts.json');
+
+const LEVEL = {
+    EMERGENCY: 'emergency',
+    URGENT: 'urgent',
+    ROUTINE: 'routine'
+};
+
+const LEVEL_RANK = { [LEVEL.ROUTINE]: 0, [LEVEL.URGENT]: 1, [LEVEL.EMERGENCY]: 2 };
+
+const RED_FLAGS = flags.map(flag => ({
+    ...flag,
+    negatable: flag.negatable !== false,
+    patterns: flag.patterns.map(pattern => new RegExp(pattern, 'i'))
+}));
+
+// Clauses end at punctuation and conjunctions, so a negation only reaches the symptoms it is next to
+// ("no fever but chest pain", "no energy and chest pain"); "or" keeps it going ("no fever or chest pain")
+const CLAUSE_BREAK = /[.;:!?,\n]+|\b(?:but|however|although|though|except|and|with|plus|also)\b/i;
+const NEGATION = /\b(?:no|not|never|without|denies|denied|deny|nor|negative\s+for|free\s+of|absence\s+of|(?:don'?t|doesn'?t|didn'?t|do\s+not|does\s+not|did\s+not)\s+(?:have|has|feel|get|experience)|(?:haven'?t|hasn'?t|have\s+not|has\s+not)\s+(?:had|got|felt|been\s+having)|(?:am|is|are)\s+not\s+having|no\s+longer)\b/gi;
+// Phrases that look like negations but are not ("not sure if this is chest pain", "without warning I got
+// chest pain", "there is no way to stop my chest pain")
+const PSEUDO_NEGATION = /\b(?:not\s+sure|not\s+certain|no\s+idea|not\s+only|not\s+just|no\s+doubt|can'?t\s+tell|don'?t\s+know|without\s+(?:any\s+)?(?:warning|reason|notice)|no\s+way\s+to|no\s+matter|no\s+relief)\b/gi;
+// A subject and verb between the negation and the symptom mean the negation is about something else
+// ("without warning I got chest pain")
+const AFFIRMED_BETWEEN = /\b(?:i|i'm|i've|we|he|she|they|it)\s+(?:would\s+|could\s+)?(?:got|get|am\s+getting|have|has|had|am\s+having|feel|felt|started|developed|woke\s+up\s+with)\b/i;
+// Words after the symptom that turn a negation into a comparison or a change ("never had chest pain
+// like this", "never felt chest pain this bad", "did not have chest pain until an hour ago")
+const NEGATION_ENDED_AFTER = /^\W*(?:\S+\s+){0,3}?(?:like\s+(?:this|that|it\s+is|now)|this\s+(?:bad|severe|strong|intense)|so\s+bad|until|till|before\s+(?:now|today|tonight))\b/i;
+// How many words before a red flag a negation may stand ("no fever, cough or chest pain" is too far)
+const NEGATION_WINDOW_WORDS = 5;
+
+function normalizeMessage(message) {
+    return String(message || '')
+        .replace(/[‘’`]/g, "'")
+        .replace(/\s+/g, ' ');
+}
+
+// Whether the words just before a match in this clause negate it
+// Only a negation that governs the symptom directly counts; when in doubt the flag stands.
+function isNegated(clause, match) {
+    const before = clause.slice(0, match.index).replace(PSEUDO_NEGATION, ' ').trim().split(/\s+/);
+    const window = before.slice(-NEGATION_WINDOW_WORDS).join(' ');
+    const negations = Array.from(window.matchAll(NEGATION));
+    if (negations.length === 0) return false;
+
+    const last = negations[negations.length - 1];
+    if (AFFIRMED_BETWEEN.test(window.slice(last.index + last[0].length))) return false;
+    return !NEGATION_ENDED_AFTER.test(clause.slice(match.index + match[0].length));
+}
+
+// The first affirmed match of a flag in the message, or null
+// Flags that combine symptoms ("fever" with "stiff neck") look at the whole message instead of one clause.
+function findFlag(flag, text, clauses) {
+    for (const clause of flag.wholeMessage ? [text] : clauses) {
+        for (const pattern of flag.patterns) {
+            const match = clause.match(pattern);
+            if (match && !(flag.negatable && isNegated(clause, match))) return match[0];
+        }
+    }
+    return null;
+}
+
+// ISO region of a locale ("en-IN", "en_gb", "hi-IN-u-nu-latn", "US"), or null
+function regionOf(locale) {
+    const parts = String(locale || '').split(/[-_]/);
+    if (parts.length === 1) return /^[a-z]{2}$/i.test(parts[0]) && parts[0] === parts[0].toUpperCase() ? parts[0] : null;
+    const region = parts.slice(1).find(part => /^[a-z]{2}$/i.test(part));
+    return region ? region.toUpperCase() : null;
+}
+
+// Emergency and crisis contacts for a locale; regions we have no numbers for get the international entry
+function contactsFor(locale, defaultRegion) {
+    const region = regionOf(locale) || (defaultRegion ? String(defaultRegion).toUpperCase() : null);
+    const entry = region && contacts.regions[region];
+    return { region: entry ? region : null, ...(entry || contacts.international) };
+}
+
+// Fixed text shown ahead of the reply; never written by a model
+function buildMessage(level, categories, { emergency, crisis }) {
+    const lines = [];
+    if (level === LEVEL.EMERGENCY && categories.includes('medical')) {
+        lines.push(`🚨 **This may be a medical emergency.** Call ${emergency.number} now or go to the nearest emergency department. Do not wait for an answer here.`);
+    }
+    if (categories.includes('selfHarm')) {
+        lines.push(`🚨 **You do not have to face this alone.** If you might act on thoughts of harming yourself, call ${emergency.number} now. You can also reach ${crisis.name} at ${crisis.number}, at any time.`);
+    }
+    if (level === LEVEL.URGENT) {
+        lines.push(`⚠️ **These symptoms should be checked by a doctor today.** If they get worse or you feel very unwell, call ${emergency.number}.`);
+    }
+    return lines.join('\n\n');
+}
+
+// Classify a chat message
+// Returns { level, redFlags: [{ id, label, category, level, matched }], region, contacts, message },
+// message being the fixed escalation text to show ahead of the reply (null for routine messages).
+function triageMessage(message, { locale, defaultRegion } = {}) {
+    const text = normalizeMessage(message);
+    const clauses = text.split(CLAUSE_BREAK).map(clause => clause.trim()).filter(Boolean);
+    const redFlags = [];
+    RED_FLAGS.forEach(flag => {
+        const matched = findFlag(flag, text, clauses);
+        if (matched) {
+            redFlags.push({ id: flag.id, label: flag.label, category: flag.category, level: flag.level, matched });
+        }
+    });
+
+    const level = redFlags.reduce((worst, flag) => (LEVEL_RANK[flag.level] > LEVEL_RANK[worst] ? flag.level : worst), LEVEL.ROUTINE);
+    const { region, emergency, crisis } = contactsFor(locale, defaultRegion);
+    const categories = redFlags.filter(flag => flag.level === level || flag.category === 'selfHarm').map(flag => flag.category);
+
+    return {
+        level,
+        redFlags,
+        region,
+        contacts: level === LEVEL.ROUTINE ? null : { emergency, crisis },
+        message: level === LEVEL.ROUTINE ? null : buildMessage(level, categories, { emergency, crisis })
+    };
+}
+
+module.exports = {
+    LEVEL,
+    regionOf,
+    contactsFor,
+    triageMessage
+};
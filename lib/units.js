@@ -0,0 +1,248 @@
+// Unit detection and conversion for lab values
+// Every analyte has a canonical unit (the one its reference ranges use). Values printed in another
+// unit are converted with per-analyte factors: canonical = value * factor + (offset || 0).
+
+const referenceRanges = require('./referenceRanges');
+
+// Spellings labs use for the same unit, mapped to one normalized key
+const UNIT_SYNONYMS = {
+    'mg/dl': ['mg/dl', 'mg%', 'mg/100ml'],
+    'g/dl': ['g/dl', 'gm/dl', 'g%', 'gm%'],
+    'g/l': ['g/l', 'gm/l'],
+    'mg/l': ['mg/l'],
+    'mmol/l': ['mmol/l', 'mmol/ltr'],
+    'mmol/mol': ['mmol/mol'],
+    'µmol/l': ['µmol/l', 'μmol/l', 'umol/l'],
+    'nmol/l': ['nmol/l'],
+    'pmol/l': ['pmol/l'],
+    'meq/l': ['meq/l'],
+    'u/l': ['u/l', 'iu/l'],
+    'ng/ml': ['ng/ml'],
+    'ng/dl': ['ng/dl'],
+    'ng/l': ['ng/l'],
+    'pg/ml': ['pg/ml'],
+    'µg/dl': ['µg/dl', 'μg/dl', 'ug/dl', 'mcg/dl'],
+    'µg/l': ['µg/l', 'μg/l', 'ug/l', 'mcg/l'],
+    'µiu/ml': ['µiu/ml', 'μiu/ml', 'uiu/ml', 'miu/l'],
+    'million/ul': ['million/ul', 'million/cumm', 'mill/cumm', 'million/mm3', 'mill/mm3', 'm/ul', '10^6/ul', 'x10^6/ul', '10^12/l', 'x10^12/l'],
+    'thousand/ul': ['thousand/ul', 'k/ul', '10^3/ul', 'x10^3/ul', '10^9/l', 'x10^9/l'],
+    'lakh/cumm': ['lakh/cumm', 'lakhs/cumm', 'lakh/mm3', 'lakhs/mm3'],
+    '/cumm': ['/cumm', 'cells/cumm', '/mm3', 'cells/mm3', '/ul', 'cells/ul'],
+    '%': ['%', 'percent'],
+    'fl': ['fl'],
+    'pg': ['pg'],
+    'mm/hr': ['mm/hr', 'mm/h', 'mm/1st hr'],
+    'ml/min/1.73m²': ['ml/min/1.73m2', 'ml/min/1.73m²', 'ml/min/1.73 m2'],
+    'mmhg': ['mmhg']
+};
+
+// Printed variants of a spelling: /µl for /ul, ³ or *3 for ^3, "x 10" for "x10"
+function spellingVariants(spelling) {
+    let variants = [spelling];
+    if (spelling.includes('/ul')) variants = variants.concat(variants.map(v => v.replace('/ul', '/µl')));
+    if (/\^\d/.test(spelling)) {
+        variants = variants.concat(variants.map(v => v.replace('^3', '³').replace('^6', '⁶').replace('^9', '⁹').replace('^12', '¹²')));
+        variants = variants.concat(variants.filter(v => v.includes('^')).map(v => v.replace('^', '*')));
+    }
+    if (spelling.startsWith('x10')) variants = variants.concat(variants.map(v => v.replace('x10', 'x 10')));
+    return variants;
+}
+
+const SYNONYM_LOOKUP = {};
+Object.entries(UNIT_SYNONYMS).forEach(([key, spellings]) => {
+    spellings.forEach(spelling => {
+        spellingVariants(spelling).forEach(variant => { SYNONYM_LOOKUP[variant] = key; });
+    });
+});
+
+// Longest spellings first so "mg/dl" wins over "mg%" prefixes and "mmol/mol" over "mmol/l"
+const SPELLINGS = Object.keys(SYNONYM_LOOKUP).sort((a, b) => b.length - a.length);
+
+// Match a unit at the start of text; returns { unit, length } or null
+function matchUnit(text) {
+    if (!text) return null;
+    // Same-length normalization keeps offsets into the original text valid
+    const lower = text.toLowerCase().replace(/μ/g, 'µ');
+    const spelling = SPELLINGS.find(candidate => lower.startsWith(candidate) && !/[a-z]/.test(lower.charAt(candidate.length)));
+    return spelling ? { unit: text.slice(0, spelling.length), length: spelling.length } : null;
+}
+
+function normalizeUnit(unit) {
+    if (!unit) return null;
+    const key = String(unit).trim().toLowerCase().replace(/μ/g, 'µ').replace(/\s+/g, ' ');
+    return SYNONYM_LOOKUP[key] || SYNONYM_LOOKUP[key.replace(/ /g, '')] || null;
+}
+
+// Per-analyte conversions into the canonical unit, keyed by normalized source unit
+// Lipids: mmol/L -> mg/dL uses the molar mass of cholesterol (38.67) or triglyceride (88.57).
+const CHOLESTEROL = { 'mmol/l': { factor: 38.67 } };
+const CONVERSIONS = {
+    rbc: { 'million/ul': { factor: 1 } },
+    wbc: { 'thousand/ul': { factor: 1 }, '/cumm': { factor: 0.001 } },
+    platelets: { 'thousand/ul': { factor: 1 }, 'lakh/cumm': { factor: 100 }, '/cumm': { factor: 0.001 } },
+    hemoglobin: { 'g/l': { factor: 0.1 }, 'mmol/l': { factor: 1.611 } },
+    mchc: { 'g/l': { factor: 0.1 } },
+    totalCholesterol: CHOLESTEROL,
+    ldl: CHOLESTEROL,
+    hdl: CHOLESTEROL,
+    vldl: CHOLESTEROL,
+    triglycerides: { 'mmol/l': { factor: 88.57 } },
+    bilirubin: { 'µmol/l': { factor: 1 / 17.1 } },
+    albumin: { 'g/l': { factor: 0.1 } },
+    totalProtein: { 'g/l': { factor: 0.1 } },
+    creatinine: { 'µmol/l': { factor: 1 / 88.4 } },
+    bun: { 'mmol/l': { factor: 2.801 } },
+    uricAcid: { 'µmol/l': { factor: 1 / 59.48 }, 'mmol/l': { factor: 16.81 } },
+    sodium: { 'mmol/l': { factor: 1 } },
+    potassium: { 'mmol/l': { factor: 1 } },
+    chloride: { 'mmol/l': { factor: 1 } },
+    t3: { 'nmol/l': { factor: 65.1 } },
+    t4: { 'nmol/l': { factor: 0.0777 } },
+    freeT3: { 'pmol/l': { factor: 0.651 } },
+    freeT4: { 'pmol/l': { factor: 0.0777 } },
+    glucose: { 'mmol/l': { factor: 18.016 } },
+    // IFCC (mmol/mol) to NGSP (%) master equation
+    hba1c: { 'mmol/mol': { factor: 0.09148, offset: 2.152 } },
+    vitaminD: { 'nmol/l': { factor: 0.4006 } },
+    vitaminB12: { 'pmol/l': { factor: 1.355 } },
+    folate: { 'nmol/l': { factor: 0.4413 } },
+    iron: { 'µmol/l': { factor: 5.585 } },
+    ferritin: { 'µg/l': { factor: 1 } },
+    calcium: { 'mmol/l': { factor: 4.008 }, 'meq/l': { factor: 2.004 } },
+    phosphorus: { 'mmol/l': { factor: 3.097 } },
+    magnesium: { 'mmol/l': { factor: 2.431 }, 'meq/l': { factor: 1.215 } },
+    crp: { 'mg/dl': { factor: 10 } },
+    troponin: { 'µg/l': { factor: 1 }, 'ng/l': { factor: 0.001 } }
+};
+
+// Values outside these canonical bounds are almost certainly in another unit;
+// used to infer the unit when the report does not print one.
+const PLAUSIBLE = {
+    hemoglobin: [2, 25],
+    totalCholesterol: [40, 1000],
+    ldl: [10, 600],
+    hdl: [5, 200],
+    triglycerides: [20, 5000],
+    glucose: [15, 1500],
+    creatinine: [0.1, 25],
+    bilirubin: [0.05, 50],
+    calcium: [3, 20],
+    uricAcid: [0.5, 20],
+    albumin: [0.5, 7],
+    totalProtein: [2, 12],
+    vitaminD: [2, 200],
+    hba1c: [3, 20],
+    wbc: [0.1, 500],
+    platelets: [1, 3000]
+};
+
+function roundValue(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function canonicalUnit(key) {
+    const analyte = referenceRanges.getAnalyte(key);
+    return analyte ? analyte.unit : null;
+}
+
+// Convert a value printed in unit into the analyte's canonical unit
+// Returns null when the unit is unknown for this analyte.
+function toCanonical(key, value, unit) {
+    const target = canonicalUnit(key);
+    const from = normalizeUnit(unit);
+    if (!target || !from) return null;
+
+    if (from === normalizeUnit(target)) {
+        return { value, unit: target, factor: 1 };
+    }
+
+    const conversion = (CONVERSIONS[key] || {})[from];
+    if (!conversion) return null;
+
+    return {
+        value: roundValue(value * conversion.factor + (conversion.offset || 0)),
+        unit: target,
+        factor: conversion.factor
+    };
+}
+
+// When no unit was printed, pick the unit that puts the value in a plausible range
+function inferUnit(key, value) {
+    const target = canonicalUnit(key);
+    const plausible = PLAUSIBLE[key];
+    if (!plausible || (value >= plausible[0] && value <= plausible[1])) {
+        return target;
+    }
+
+    const candidates = Object.keys(CONVERSIONS[key] || {});
+    const fit = candidates.find(unit => {
+        const converted = toCanonical(key, value, unit);
+        return converted && converted.value >= plausible[0] && converted.value <= plausible[1];
+    });
+    return fit ? displayUnit(fit) : target;
+}
+
+// Readable spelling for a normalized unit key
+function displayUnit(unitKey) {
+    const display = {
+        'mg/dl': 'mg/dL', 'g/dl': 'g/dL', 'g/l': 'g/L', 'mg/l': 'mg/L', 'mmol/l': 'mmol/L',
+        'mmol/mol': 'mmol/mol', 'µmol/l': 'µmol/L', 'nmol/l': 'nmol/L', 'pmol/l': 'pmol/L',
+        'meq/l': 'mEq/L', 'u/l': 'U/L', 'ng/ml': 'ng/mL', 'ng/dl': 'ng/dL', 'ng/l': 'ng/L',
+        'pg/ml': 'pg/mL', 'µg/dl': 'µg/dL', 'µg/l': 'µg/L', 'µiu/ml': 'µIU/mL',
+        'million/ul': 'million/uL', 'thousand/ul': 'thousand/uL', 'lakh/cumm': 'lakh/cumm',
+        '/cumm': '/cumm', 'fl': 'fL', 'mmhg': 'mmHg'
+    };
+    return display[unitKey] || unitKey;
+}
+
+// Normalize a measured value: detect its unit (printed or inferred) and convert to canonical
+function normalizeMeasurement(key, value, printedUnit) {
+    const detectedUnit = printedUnit ? displayUnit(normalizeUnit(printedUnit) || printedUnit) : inferUnit(key, value);
+    const converted = toCanonical(key, value, detectedUnit);
+
+    if (!converted) {
+        // Unknown unit for this analyte: report the value as printed without guessing
+        return {
+            value,
+            unit: detectedUnit || canonicalUnit(key) || '',
+            original: { value, unit: detectedUnit || null },
+            converted: false,
+            unitInferred: !printedUnit,
+            convertible: false
+        };
+    }
+
+    return {
+        value: converted.value,
+        unit: converted.unit,
+        original: { value, unit: detectedUnit },
+        converted: converted.factor !== 1 || normalizeUnit(detectedUnit) !== normalizeUnit(converted.unit),
+        unitInferred: !printedUnit,
+        convertible: true
+    };
+}
+
+// Convert a printed reference interval alongside its value
+function convertRange(key, range, unit) {
+    if (!range) return null;
+    const convert = bound => {
+        if (bound === null || bound === undefined) return null;
+        const converted = toCanonical(key, bound, unit);
+        return converted ? converted.value : null;
+    };
+    const low = convert(range.low);
+    const high = convert(range.high);
+    if ((range.low !== null && low === null) || (range.high !== null && high === null)) return null;
+    return { ...range, low, high };
+}
+
+module.exports = {
+    matchUnit,
+    normalizeUnit,
+    displayUnit,
+    canonicalUnit,
+    toCanonical,
+    inferUnit,
+    normalizeMeasurement,
+    convertRange
+};
@@ -0,0 +1,237 @@
+// Outbound webhooks for critical lab results and urgent reports
+// Each event is delivered to every configured URL as a JSON POST signed with HMAC-SHA256. Failed
+// deliveries are retried with exponential backoff; once the attempts run out they stay in a
+// dead-letter list until replayed. Deliveries are persisted through the storage adapter
+// (saveWebhookDelivery/getWebhookDelivery/listWebhookDeliveries/deleteWebhookDelivery), so retries
+// survive a restart.
+//
+// Receivers check the X-HealthEye-Signature header, "t=<unix seconds>,v1=<hex>", where v1 is the
+// HMAC-SHA256 of "<t>.<raw body>" with the shared secret (see verifySignature).
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const EVENTS = {
+    LAB_CRITICAL: 'lab.critical',
+    REPORT_URGENT: 'report.urgent'
+};
+
+const STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const SIGNATURE_HEADER = 'X-HealthEye-Signature';
+
+function signature(secret, body, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Value of the signature header for a body sent at timestamp (unix seconds)
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${signature(secret, body, timestamp)}`;
+}
+
+// Receiver side: whether header signs body with secret, sent at most toleranceSec ago
+function verifySignature(secret, body, header, { toleranceSec = 300, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSec) return false;
+    const expected = Buffer.from(signature(secret, body, timestamp), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
+
+// Public view of a delivery: no body, which carries patient results
+function describeDelivery(delivery) {
+    return {
+        id: delivery.id,
+        eventId: delivery.eventId,
+        type: delivery.type,
+        url: delivery.url,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastError: delivery.lastError || null,
+        lastStatusCode: delivery.lastStatusCode || null,
+        replays: delivery.replays || 0,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.updatedAt,
+        nextAttemptAt: delivery.status === STATUS.PENDING ? delivery.nextAttemptAt : null,
+        deliveredAt: delivery.deliveredAt || null,
+        failedAt: delivery.failedAt || null
+    };
+}
+
+// Create a dispatcher
+// - urls, secret: where events go and the key they are signed with; without both, emit does nothing
+// - events: event types to send (default: all)
+// - maxAttempts: tries per delivery before it is dead-lettered
+// - retryDelayMs: wait before the first retry, doubled for each further one
+// - retentionHours: how long delivered records are kept; dead letters are kept until replayed
+function createWebhookDispatcher({
+    storage,
+    urls = [],
+    secret = '',
+    events = Object.values(EVENTS),
+    maxAttempts = 5,
+    retryDelayMs = 5000,
+    timeoutMs = 10000,
+    retentionHours = 72,
+    post = axios.post
+}) {
+    const enabled = urls.length > 0 && !!secret;
+    const timers = new Map();
+
+    function touch(delivery) {
+        delivery.updatedAt = new Date().toISOString();
+    }
+
+    async function attempt(delivery) {
+        timers.delete(delivery.id);
+        delivery.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await post(delivery.url, delivery.body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'HealthEye-Webhooks/1.0',
+                    [SIGNATURE_HEADER]: signPayload(secret, delivery.body, timestamp),
+                    'X-HealthEye-Event': delivery.type,
+                    'X-HealthEye-Delivery': delivery.id
+                },
+                timeout: timeoutMs,
+                // Redirects would resend patient results somewhere nobody configured
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+            delivery.lastStatusCode = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Receiver answered HTTP ${response.status}`);
+            }
+            delivery.status = STATUS.DELIVERED;
+            delivery.lastError = null;
+            delivery.deliveredAt = new Date().toISOString();
+            console.log(`📨 Webhook ${delivery.type} delivered to ${delivery.url} (attempt ${delivery.attempts})`);
+        } catch (error) {
+            delivery.lastError = error.message;
+            if (delivery.attempts >= maxAttempts) {
+                delivery.status = STATUS.FAILED;
+                delivery.failedAt = new Date().toISOString();
+                console.error(`❌ Webhook ${delivery.id} to ${delivery.url} dead-lettered after ${delivery.attempts} attempts:`, error.message);
+            } else {
+                const delay = retryDelayMs * Math.pow(2, delivery.attempts - 1);
+                delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                console.error(`⚠️ Webhook ${delivery.id} to ${delivery.url} failed (attempt ${delivery.attempts}/${maxAttempts}):`, error.message);
+            }
+        }
+
+        touch(delivery);
+        await storage.saveWebhookDelivery(delivery);
+        if (delivery.status === STATUS.PENDING) schedule(delivery);
+    }
+
+    function schedule(delivery) {
+        if (timers.has(delivery.id)) return;
+        const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+        const timer = setTimeout(() => {
+            attempt(delivery).catch(error => console.error(`Webhook ${delivery.id} crashed:`, error));
+        }, delay);
+        // Pending retries are picked up again by resume(); they should not keep the process alive
+        if (timer.unref) timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    return {
+        enabled,
+
+        // Send an event to every URL; key identifies what it is about (an upload, a report), so the
+        // same event emitted twice (a retried job stage, a resent HL7 message) is delivered once.
+        // Returns the deliveries, existing ones included.
+        async emit(type, data, { key }) {
+            if (!enabled || !events.includes(type)) return [];
+
+            const eventId = `evt_${crypto.createHash('sha256').update(`${type}|${key}`).digest('hex').slice(0, 24)}`;
+            const existing = await storage.listWebhookDeliveries(delivery => delivery.eventId === eventId);
+            if (existing.length > 0) return existing;
+
+            const now = new Date().toISOString();
+            const body = JSON.stringify({ id: eventId, type, createdAt: now, data });
+            const deliveries = urls.map(url => ({
+                id: crypto.randomBytes(12).toString('hex'),
+                eventId,
+                type,
+                url,
+                body,
+                status: STATUS.PENDING,
+                attempts: 0,
+                lastError: null,
+                lastStatusCode: null,
+                replays: 0,
+                nextAttemptAt: now,
+                createdAt: now,
+                updatedAt: now
+            }));
+            for (const delivery of deliveries) {
+                await storage.saveWebhookDelivery(delivery);
+                schedule(delivery);
+            }
+            return deliveries;
+        },
+
+        // Dead letters, most recently failed first
+        async listDeadLetters() {
+            const failed = await storage.listWebhookDeliveries(delivery => delivery.status === STATUS.FAILED);
+            return failed.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+        },
+
+        // Send a dead-lettered delivery again with a fresh set of attempts
+        // Returns the delivery, null when it does not exist, or throws for deliveries that have not failed.
+        async replay(deliveryId) {
+            const delivery = await storage.getWebhookDelivery(deliveryId);
+            if (!delivery) return null;
+            if (delivery.status !== STATUS.FAILED) {
+                const error = new Error(`Delivery ${deliveryId} is ${delivery.status}; only failed deliveries can be replayed`);
+                error.notReplayable = true;
+                throw error;
+            }
+
+            delivery.status = STATUS.PENDING;
+            delivery.attempts = 0;
+            delivery.failedAt = null;
+            delivery.replays = (delivery.replays || 0) + 1;
+            delivery.nextAttemptAt = new Date().toISOString();
+            touch(delivery);
+            await storage.saveWebhookDelivery(delivery);
+            schedule(delivery);
+            return delivery;
+        },
+
+        // Re-schedule deliveries a previous process left pending, and drop old delivered ones
+        async resume() {
+            const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+            const deliveries = await storage.listWebhookDeliveries();
+            let resumed = 0;
+            for (const delivery of deliveries) {
+                if (delivery.status === STATUS.DELIVERED && new Date(delivery.deliveredAt).getTime() < cutoff) {
+                    await storage.deleteWebhookDelivery(delivery.id);
+                } else if (delivery.status === STATUS.PENDING && enabled) {
+                    schedule(delivery);
+                    resumed++;
+                }
+            }
+            return resumed;
+        }
+    };
+}
+
+module.exports = {
+    EVENTS,
+    STATUS,
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    describeDelivery,
+    createWebhookDispatcher
+};
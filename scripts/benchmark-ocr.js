@@ -0,0 +1,117 @@
+// OCR throughput: a new Tesseract worker per image (Tesseract.recognize) vs the warm worker pool
+// Usage: node scripts/benchmark-ocr.js [--images 12] [--concurrency 2] [image files...]
+// Without image files a synthetic lab report page is rendered with sharp. Both runs read the same
+// images with the same number in flight; the pool is sized to the concurrency.
+
+const Tesseract = require('tesseract.js');
+const sharp = require('sharp');
+const fs = require('fs');
+const config = require('../lib/config');
+const { createOcrPool } = require('../lib/ocrPool');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? parseInt(process.argv[index + 1], 10) : fallback;
+}
+
+function imageArguments() {
+    return process.argv.slice(2).filter((arg, index, args) => !arg.startsWith('--') && !(args[index - 1] || '').startsWith('--'));
+}
+
+async function sampleImage() {
+    const rows = [
+        ['Hemoglobin', '13.2', 'g/dL', '12.0 - 15.5'],
+        ['Total Cholesterol', '212', 'mg/dL', '< 200'],
+        ['LDL Cholesterol', '141', 'mg/dL', '< 100'],
+        ['HDL Cholesterol', '45', 'mg/dL', '> 40'],
+        ['Fasting Glucose', '104', 'mg/dL', '70 - 99'],
+        ['Creatinine', '0.9', 'mg/dL', '0.6 - 1.2']
+    ];
+    const lines = rows.map((row, i) => {
+        const y = 220 + i * 60;
+        return [0, 520, 760, 1000].map((x, j) => `<text x="${80 + x}" y="${y}">${row[j].replace('<', '&lt;').replace('>', '&gt;')}</text>`).join('');
+    }).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1400" height="700">
+        <rect width="100%" height="100%" fill="white"/>
+        <g font-family="Arial" font-size="34" fill="black">
+            <text x="80" y="100" font-size="44">City Lab - Lipid and Metabolic Panel</text>
+            <text x="80" y="160">Test</text><text x="600" y="160">Result</text><text x="840" y="160">Unit</text><text x="1080" y="160">Range</text>
+            ${lines}
+        </g>
+    </svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function percentile(values, fraction) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+// Read every image with `concurrency` in flight; returns timings and peak memory
+async function measure(name, images, concurrency, recognize) {
+    const durations = [];
+    let peakRss = process.memoryUsage().rss;
+    const sampler = setInterval(() => { peakRss = Math.max(peakRss, process.memoryUsage().rss); }, 50);
+    const started = Date.now();
+    let next = 0;
+    let failures = 0;
+
+    const lane = async () => {
+        while (next < images.length) {
+            const image = images[next++];
+            const begin = Date.now();
+            try {
+                await recognize(image);
+            } catch (error) {
+                failures++;
+                console.error(`${name}: ${error.message}`);
+            }
+            durations.push(Date.now() - begin);
+        }
+    };
+    await Promise.all(Array.from({ length: concurrency }, lane));
+
+    clearInterval(sampler);
+    const totalMs = Date.now() - started;
+    return {
+        name,
+        images: images.length,
+        failures,
+        totalMs,
+        imagesPerSecond: Math.round((images.length / totalMs) * 1000 * 100) / 100,
+        meanMs: Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length),
+        p95Ms: percentile(durations, 0.95),
+        peakRssMb: Math.round(peakRss / 1024 / 1024)
+    };
+}
+
+async function main() {
+    const count = option('images', 12);
+    const concurrency = option('concurrency', 2);
+    const files = imageArguments();
+    const sources = files.length > 0 ? files.map(file => fs.readFileSync(file)) : [await sampleImage()];
+    const images = Array.from({ length: count }, (value, i) => sources[i % sources.length]);
+    console.log(`🔬 OCR benchmark: ${count} image(s), ${concurrency} at a time, language ${config.ocr.language}`);
+
+    const perRequest = await measure('per-request workers', images, concurrency, image =>
+        Tesseract.recognize(image, config.ocr.language));
+
+    const pool = createOcrPool({
+        language: config.ocr.language,
+        size: concurrency,
+        maxJobsPerWorker: config.ocr.maxJobsPerWorker,
+        timeoutMs: config.ocr.timeoutMs
+    });
+    const pooled = await measure('worker pool', images, concurrency, image => pool.recognize(image));
+    const stats = pool.stats();
+    await pool.close();
+
+    console.table([perRequest, pooled]);
+    console.log(`Pool: ${stats.started} worker(s) started, ${stats.recycled} recycled, average wait ${stats.averageWaitMs}ms`);
+    console.log(`Speed-up: ${Math.round((perRequest.totalMs / pooled.totalMs) * 100) / 100}x`);
+}
+
+main().catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,268 @@
+// Authentication and per-user authorization: lib/auth.js and the history routes that use it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signToken, verifyToken, parseApiKeys, createAuth } = require('../lib/auth');
+const { startServer } = require('./helpers/server');
+
+const JWT_SECRET = 'test-jwt-secret';
+const API_KEY = 'test-api-key';
+
+// A token signed with the right secret but changed afterwards: the signature no longer matches
+function tamper(token, claims) {
+    const [header, payload, signature] = token.split('.');
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const changed = Buffer.from(JSON.stringify({ ...decoded, ...claims })).toString('base64url');
+    return `${header}.${changed}.${signature}`;
+}
+
+// A correctly signed token with exactly the given claims, for claims signToken would never produce
+function signClaims(claims, secret) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+// Minimal stand-ins for the Express request and response the middleware sees
+function fakeRequest({ headers = {}, params = {}, body } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { params, body, get: name => lower[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+// Run middleware and report whether it called next
+function run(middleware, req) {
+    const res = fakeResponse();
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+test('verifyToken', async t => {
+    await t.test('accepts a token it signed', () => {
+        const token = signToken({ sub: 'alice' }, JWT_SECRET);
+        assert.equal(verifyToken(token, JWT_SECRET).sub, 'alice');
+    });
+
+    await t.test('rejects an expired token', () => {
+        const token = signToken({ sub: 'alice' }, JWT_SECRET, { expiresIn: -120 });
+        assert.throws(() => verifyToken(token, JWT_SECRET), /Token expired/);
+    });
+
+    await t.test('accepts a token that expired within the clock tolerance', () => {
+        const token = signToken({ sub: 'alice' }, JWT_SECRET, { expiresIn: -5 });
+        assert.equal(verifyToken(token, JWT_SECRET).sub, 'alice');
+    });
+
+    await t.test('rejects a token whose subject was changed', () => {
+        const token = tamper(signToken({ sub: 'alice' }, JWT_SECRET), { sub: 'bob' });
+        assert.throws(() => verifyToken(token, JWT_SECRET), /Invalid token signature/);
+    });
+
+    await t.test('rejects a token whose expiry was extended', () => {
+        const token = tamper(signToken({ sub: 'alice' }, JWT_SECRET, { expiresIn: -120 }), { exp: 9999999999 });
+        assert.throws(() => verifyToken(token, JWT_SECRET), /Invalid token signature/);
+    });
+
+    await t.test('rejects a token signed with another secret', () => {
+        const token = signToken({ sub: 'alice' }, 'another-secret');
+        assert.throws(() => verifyToken(token, JWT_SECRET), /Invalid token signature/);
+    });
+
+    await t.test('rejects tokens without an expiry', () => {
+        assert.equal(verifyToken(signClaims({ sub: 'alice', exp: Math.floor(Date.now() / 1000) + 60 }, JWT_SECRET), JWT_SECRET).sub, 'alice');
+        assert.throws(() => verifyToken(signClaims({ sub: 'alice' }, JWT_SECRET), JWT_SECRET), /Token has no expiry/);
+        assert.throws(() => verifyToken(signClaims({ sub: 'alice', exp: '9999999999' }, JWT_SECRET), JWT_SECRET), /Token has no expiry/);
+    });
+
+    await t.test('rejects alg "none"', () => {
+        const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+        const payload = Buffer.from(JSON.stringify({ sub: 'alice' })).toString('base64url');
+        assert.throws(() => verifyToken(`${header}.${payload}.`, JWT_SECRET), /Unsupported token algorithm/);
+    });
+
+    await t.test('rejects malformed tokens', () => {
+        assert.throws(() => verifyToken('not-a-token', JWT_SECRET), /Malformed token/);
+        assert.throws(() => verifyToken('a.b.c', JWT_SECRET), /Malformed token/);
+    });
+
+    await t.test('checks the issuer when one is configured', () => {
+        const token = signToken({ sub: 'alice' }, JWT_SECRET, { issuer: 'someone-else' });
+        assert.throws(() => verifyToken(token, JWT_SECRET, { issuer: 'healtheye' }), /Unexpected token issuer/);
+    });
+});
+
+test('parseApiKeys names keys without a client ID', () => {
+    assert.deepEqual(parseApiKeys('svc:abc, def'), [
+        { key: 'abc', clientId: 'svc' },
+        { key: 'def', clientId: 'client-2' }
+    ]);
+});
+
+test('createAuth middleware', async t => {
+    const auth = createAuth({ jwtSecret: JWT_SECRET, apiKeys: `svc:${API_KEY}`, tokenTtlSec: 3600 });
+    const bearer = userId => ({ Authorization: `Bearer ${auth.issueToken(userId)}` });
+
+    await t.test('authenticate requires credentials', () => {
+        const { passed, res } = run(auth.authenticate, fakeRequest());
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+        assert.match(res.headers['WWW-Authenticate'], /^Bearer/);
+    });
+
+    await t.test('authenticate rejects a wrong API key', () => {
+        const { passed, res } = run(auth.authenticate, fakeRequest({ headers: { 'X-API-Key': 'wrong-key' } }));
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'Invalid API key');
+    });
+
+    await t.test('authenticate rejects an expired token', () => {
+        const token = signToken({ sub: 'alice' }, JWT_SECRET, { expiresIn: -120 });
+        const { passed, res } = run(auth.authenticate, fakeRequest({ headers: { Authorization: `Bearer ${token}` } }));
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+    });
+
+    await t.test('a user token identifies its subject', () => {
+        const req = fakeRequest({ headers: bearer('alice') });
+        assert.equal(run(auth.authenticate, req).passed, true);
+        assert.deepEqual({ type: req.auth.type, userId: req.auth.userId }, { type: 'user', userId: 'alice' });
+    });
+
+    await t.test('an API key acts for the user it names', () => {
+        const req = fakeRequest({ headers: { 'X-API-Key': API_KEY, 'X-User-Id': 'bob' } });
+        assert.equal(run(auth.authenticate, req).passed, true);
+        assert.deepEqual({ type: req.auth.type, clientId: req.auth.clientId, userId: req.auth.userId }, { type: 'service', clientId: 'svc', userId: 'bob' });
+    });
+
+    await t.test('authorizeUserParam stops user A reading user B', () => {
+        const req = fakeRequest({ headers: bearer('alice'), params: { userId: 'bob' } });
+        run(auth.authenticate, req);
+        const { passed, res } = run(auth.authorizeUserParam('userId'), req);
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 403);
+    });
+
+    await t.test('authorizeUserParam lets users at their own data', () => {
+        const req = fakeRequest({ headers: bearer('alice'), params: { userId: 'alice' } });
+        run(auth.authenticate, req);
+        assert.equal(run(auth.authorizeUserParam('userId'), req).passed, true);
+        assert.equal(req.userId, 'alice');
+    });
+
+    await t.test('authorizeUserParam lets services at any user', () => {
+        const req = fakeRequest({ headers: { 'X-API-Key': API_KEY }, params: { userId: 'bob' } });
+        run(auth.authenticate, req);
+        assert.equal(run(auth.authorizeUserParam('userId'), req).passed, true);
+        assert.equal(req.userId, 'bob');
+    });
+
+    await t.test('resolveUserId refuses another user in a request body', () => {
+        const req = fakeRequest({ headers: bearer('alice') });
+        run(auth.authenticate, req);
+        assert.equal(auth.resolveUserId(req, 'bob'), null);
+        assert.equal(auth.resolveUserId(req, undefined), 'alice');
+    });
+
+    await t.test('canAccess only lets owners and services at a resource', () => {
+        const user = fakeRequest({ headers: bearer('alice') });
+        run(auth.authenticate, user);
+        const service = fakeRequest({ headers: { 'X-API-Key': API_KEY } });
+        run(auth.authenticate, service);
+        assert.equal(auth.canAccess(user, 'alice'), true);
+        assert.equal(auth.canAccess(user, 'bob'), false);
+        assert.equal(auth.canAccess(user, null), false);
+        assert.equal(auth.canAccess(service, 'bob'), true);
+    });
+});
+
+test('/chat/history/:userId', async t => {
+    const server = await startServer({ JWT_SECRET, API_KEYS: `svc:${API_KEY}`, JWT_ISSUER: '' });
+    t.after(() => server.close());
+
+    const tokenFor = async userId => {
+        const response = await server.request('POST', '/auth/token', { headers: { 'X-API-Key': API_KEY }, body: { userId } });
+        assert.equal(response.status, 200);
+        return { Authorization: `Bearer ${response.body.token}` };
+    };
+    const alice = await tokenFor('alice');
+    const bob = await tokenFor('bob');
+
+    const chat = await server.request('POST', '/chat', { headers: bob, body: { message: 'What is a normal resting heart rate?' } });
+    assert.equal(chat.status, 200);
+
+    await t.test('user A cannot read user B\'s history', async () => {
+        const response = await server.request('GET', '/chat/history/bob', { headers: alice });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.success, false);
+        assert.equal(response.body.history, undefined);
+    });
+
+    await t.test('user A cannot clear user B\'s history', async () => {
+        const response = await server.request('DELETE', '/chat/history/bob', { headers: alice });
+        assert.equal(response.status, 403);
+        const own = await server.request('GET', '/chat/history/bob', { headers: bob });
+        assert.equal(own.body.count, 2);
+    });
+
+    await t.test('user A cannot chat as user B', async () => {
+        const response = await server.request('POST', '/chat', { headers: alice, body: { message: 'hello', userId: 'bob' } });
+        assert.equal(response.status, 403);
+    });
+
+    await t.test('users read their own history', async () => {
+        const response = await server.request('GET', '/chat/history/bob', { headers: bob });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.history.map(entry => entry.sender), ['user', 'bot']);
+        assert.ok(response.body.history.every(entry => entry.userId === 'bob'));
+    });
+
+    await t.test('API key clients read any user\'s history', async () => {
+        const response = await server.request('GET', '/chat/history/bob', { headers: { 'X-API-Key': API_KEY } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.count, 2);
+    });
+
+    await t.test('requests without a body get 400, not 500', async () => {
+        for (const url of ['/chat', '/chat/stream', '/api/reports/store']) {
+            const response = await server.request('POST', url, { headers: alice });
+            assert.equal(response.status, 400, url);
+        }
+    });
+
+    await t.test('requests without credentials get 401', async () => {
+        const response = await server.request('GET', '/chat/history/bob');
+        assert.equal(response.status, 401);
+    });
+
+    await t.test('a wrong API key gets 401', async () => {
+        const response = await server.request('GET', '/chat/history/bob', { headers: { 'X-API-Key': 'wrong-key' } });
+        assert.equal(response.status, 401);
+    });
+
+    await t.test('an expired token gets 401', async () => {
+        const token = signToken({ sub: 'bob' }, JWT_SECRET, { expiresIn: -120 });
+        const response = await server.request('GET', '/chat/history/bob', { headers: { Authorization: `Bearer ${token}` } });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Token expired');
+    });
+
+    await t.test('a tampered token gets 401', async () => {
+        const token = tamper(alice.Authorization.slice('Bearer '.length), { sub: 'bob' });
+        const response = await server.request('GET', '/chat/history/bob', { headers: { Authorization: `Bearer ${token}` } });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Invalid token signature');
+    });
+});
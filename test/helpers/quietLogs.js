@@ -0,0 +1,7 @@
+// Drop console.log output while tests run
+// node:test reads results from the test file's stdout, and Node 20's runner can fail to parse them when
+// log lines from the code under test are mixed in. Set TEST_LOGS to keep them; errors still go to stderr.
+
+if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+}
@@ -0,0 +1,47 @@
+// Start the app on a free port for route tests
+// Config is read when server.js is first required, so env must be passed to the first startServer call
+// of a test file. Storage is in memory and only the offline AI provider is used, so nothing leaves the machine.
+
+const path = require('path');
+require('./quietLogs');
+
+async function startServer(env = {}) {
+    Object.assign(process.env, {
+        STORAGE_DRIVER: 'memory',
+        AI_PROVIDERS: 'offline',
+        AUTH_DISABLED: 'false'
+    }, env);
+    const app = require(path.join(__dirname, '..', '..', 'server'));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // fetch wrapper: JSON bodies in, { status, headers, body } out (body parsed when it is JSON)
+    async function request(method, url, { headers = {}, body } = {}) {
+        const options = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            options.body = typeof body === 'string' ? body : JSON.stringify(body);
+            if (typeof body !== 'string') options.headers['Content-Type'] = 'application/json';
+        }
+        const response = await fetch(`${baseUrl}${url}`, options);
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            parsed = JSON.parse(text);
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return {
+        app,
+        baseUrl,
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    startServer
+};
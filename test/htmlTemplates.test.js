@@ -0,0 +1,207 @@
+// Report page templates: lib/htmlTemplates.js and the public report pages rendered with it
+// Hostile values go in through the same paths real data takes (stored reports, share links, theme
+// overrides) and must come out as text: no new tags, no new attributes and no javascript: URLs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { escapeHtml, resolveTheme, createTemplates } = require('../lib/htmlTemplates');
+const { startServer } = require('./helpers/server');
+
+const API_KEY = 'test-api-key';
+const TEMPLATE_DIR = path.join(__dirname, '..', 'lib', 'templates');
+
+const SCRIPT = '<script>alert(1)</script>';
+const TAG = '<img src=x onerror=alert(1)>';
+const ATTRIBUTE = '" onmouseover="alert(1)" x="';
+const SINGLE_QUOTED = "' onfocus='alert(1)";
+const BACKTICK = '`${alert(1)}`';
+const HOSTILE = [SCRIPT, TAG, ATTRIBUTE, SINGLE_QUOTED, BACKTICK];
+
+// None of the payloads may have become markup; the templates themselves have no scripts or handlers
+function assertInert(html) {
+    assert.doesNotMatch(html, /<script/i);
+    assert.doesNotMatch(html, /<img src=x/i);
+    assert.doesNotMatch(html, /\son[a-z]+\s*=/i);
+    assert.doesNotMatch(html, /(src|href|action)\s*=\s*["']?\s*javascript:/i);
+}
+
+function assertShown(html, value) {
+    assert.ok(html.includes(escapeHtml(value)), `${value} is not shown escaped`);
+}
+
+// Template directory holding the given files, removed when the test ends
+function templateDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'healtheye-templates-'));
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('escapeHtml escapes every character that can end text or an attribute', () => {
+    assert.equal(escapeHtml('<a href="x" title=\'y\'>`&`</a>'), '&lt;a href&#61;&quot;x&quot; title&#61;&#39;y&#39;&gt;&#96;&amp;&#96;&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(0), '0');
+});
+
+test('raw output is rejected when templates are compiled', async t => {
+    await t.test('in a page', () => {
+        const dir = templateDir(t, { 'page.html': '<p>{{{ patientName }}}</p>' });
+        assert.throws(() => createTemplates({ dir }), /page\.html: raw output \(\{\{\{ \}\}\}\) is not supported/);
+    });
+
+    await t.test('in a partial', () => {
+        const dir = templateDir(t, { 'page.html': '{{> name}}', '_name.html': '{{#if name}}{{{name}}}{{/if}}' });
+        assert.throws(() => createTemplates({ dir }), /_name\.html: raw output/);
+    });
+});
+
+test('theme overrides cannot add markup, styles or script URLs', () => {
+    const templates = createTemplates({ dir: TEMPLATE_DIR });
+    const theme = {
+        logoText: SCRIPT,
+        tagline: ATTRIBUTE,
+        footerTitle: TAG,
+        footerText: BACKTICK,
+        primaryColor: 'red; } </style><script>alert(1)</script><style>',
+        logoUrl: 'javascript:alert(1)'
+    };
+    const html = templates.render('not-found', {}, { theme });
+
+    assertInert(html);
+    assertShown(html, SCRIPT);
+    assert.ok(!html.includes('javascript:'));
+    assert.ok(html.includes(`--primary-color: ${resolveTheme().primaryColor};`));
+});
+
+test('the PIN challenge shows its error and form action as text', () => {
+    const templates = createTemplates({ dir: TEMPLATE_DIR });
+    for (const payload of HOSTILE) {
+        const html = templates.render('pin-challenge', { error: payload, action: payload });
+        assertInert(html);
+        assert.ok(html.includes(`<p class="error">${escapeHtml(payload)}</p>`));
+        assert.ok(html.includes(`action="${escapeHtml(payload)}"`));
+    }
+});
+
+test('the comparison page shows readings as text and follows the theme', () => {
+    const templates = createTemplates({ dir: TEMPLATE_DIR });
+    const reading = { name: SCRIPT, value: TAG, unit: ATTRIBUTE, status: SINGLE_QUOTED };
+    const html = templates.render('comparison', {
+        fromDate: SCRIPT,
+        toDate: BACKTICK,
+        score: { before: TAG, after: ATTRIBUTE, change: SINGLE_QUOTED },
+        summary: [{ change: ATTRIBUTE, count: SCRIPT }],
+        parameters: [{ name: SCRIPT, before: reading, after: null, difference: BACKTICK, change: ATTRIBUTE }]
+    }, { theme: { primaryColor: '#123456', logoText: TAG } });
+
+    assertInert(html);
+    HOSTILE.forEach(value => assertShown(html, value));
+    assert.ok(html.includes(`class="badge ${escapeHtml(ATTRIBUTE)}"`));
+    assert.ok(html.includes('--primary-color: #123456;'));
+});
+
+test('public report pages', async t => {
+    const server = await startServer({ API_KEYS: `svc:${API_KEY}`, JWT_SECRET: 'test-jwt-secret' });
+    t.after(() => server.close());
+
+    // Store a report the way a client would and return the path of its share link
+    const share = async (reportData, options = {}) => {
+        const response = await server.request('POST', '/api/reports/store', {
+            headers: { 'X-API-Key': API_KEY },
+            body: { userId: 'alice', reportData, ...options }
+        });
+        assert.equal(response.status, 200);
+        return new URL(response.body.publicUrl).pathname;
+    };
+
+    await t.test('report', async () => {
+        const url = await share({
+            patientName: SCRIPT,
+            topPrediction: TAG,
+            confidence: ATTRIBUTE,
+            predictions: [
+                { label: ATTRIBUTE, confidence: 0.4 },
+                { label: SINGLE_QUOTED, confidence: 0.3 },
+                { label: BACKTICK, confidence: 0.2 }
+            ],
+            // Notes are shown as text: tags are dropped and encoded markup must not come back to life
+            doctorNotes: '<p>Rest</p>&lt;script&gt;alert(1)&lt;/script&gt;'
+        });
+        const response = await server.request('GET', url);
+
+        assert.equal(response.status, 200);
+        assertInert(response.body);
+        [SCRIPT, TAG, ATTRIBUTE, SINGLE_QUOTED, BACKTICK].forEach(value => assertShown(response.body, value));
+        assert.ok(response.body.includes('Rest\n&lt;script&gt;alert(1)&lt;/script&gt;'));
+    });
+
+    await t.test('lab-report', async () => {
+        const url = await share({
+            reportType: 'lab',
+            patientName: ATTRIBUTE,
+            summary: SCRIPT,
+            healthScore: 72,
+            parameters: [
+                { name: SCRIPT, value: ATTRIBUTE, status: TAG, normalRange: SINGLE_QUOTED },
+                { key: 'hemoglobin', name: 'Hemoglobin', value: BACKTICK, originalValue: TAG, converted: true, status: 'Low', normalRange: '13.0 - 17.0 g/dL' }
+            ]
+        });
+        const response = await server.request('GET', url);
+
+        assert.equal(response.status, 200);
+        assert.ok(response.body.includes('class="score-gauge'));
+        assertInert(response.body);
+        HOSTILE.forEach(value => assertShown(response.body, value));
+    });
+
+    await t.test('pin-challenge', async () => {
+        const url = await share({ patientName: SCRIPT }, { pin: '4821' });
+        const challenge = await server.request('GET', url);
+        assert.equal(challenge.status, 401);
+        assertInert(challenge.body);
+        assert.ok(!challenge.body.includes(escapeHtml(SCRIPT)), 'the challenge must not show report data');
+
+        const wrong = await server.request('POST', url, { body: { pin: SCRIPT } });
+        assert.equal(wrong.status, 401);
+        assertInert(wrong.body);
+        assert.ok(wrong.body.includes('Incorrect PIN'));
+    });
+
+    await t.test('comparison', async () => {
+        const store = async parameters => {
+            const response = await server.request('POST', '/api/reports/store', {
+                headers: { 'X-API-Key': API_KEY },
+                body: { userId: 'alice', reportData: { reportType: 'lab', healthScore: 70, parameters } }
+            });
+            assert.equal(response.status, 200);
+            return response.body.reportId;
+        };
+        const from = await store([
+            { name: SCRIPT, value: 110, unit: ATTRIBUTE, status: TAG },
+            { name: SINGLE_QUOTED, value: 1, unit: BACKTICK, status: SCRIPT }
+        ]);
+        const to = await store([
+            { name: SCRIPT, value: 95, unit: ATTRIBUTE, status: SINGLE_QUOTED },
+            { name: TAG, value: 2, unit: 'mg/dL', status: BACKTICK }
+        ]);
+        const response = await server.request('GET', `/api/reports/compare?from=${from}&to=${to}&format=html`, {
+            headers: { 'X-API-Key': API_KEY }
+        });
+
+        assert.equal(response.status, 200);
+        assert.ok(response.body.includes('Report Comparison'));
+        assertInert(response.body);
+        HOSTILE.forEach(value => assertShown(response.body, value));
+    });
+
+    await t.test('not-found', async () => {
+        const response = await server.request('GET', `/report/${encodeURIComponent(TAG)}`);
+        assert.equal(response.status, 404);
+        assertInert(response.body);
+        assert.ok(response.body.includes('Report Not Found'));
+    });
+});
@@ -0,0 +1,116 @@
+// Lab report parser: the fixture corpus in fixtures/lab-reports and single-line cases
+// Each fixtures/lab-reports/<name>.txt is report text as pdf-parse or OCR returns it; <name>.json lists
+// the results expected from it, in order: key, value, unit, the lab's flag and the printed range.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseLabReport, identifyTest } = require('../lib/labParser');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'lab-reports');
+
+function summarize(result) {
+    const summary = { key: result.key, value: result.value, unit: result.unit };
+    if (result.flag) summary.flag = result.flag;
+    if (result.printedRange) summary.range = [result.printedRange.low, result.printedRange.high];
+    return summary;
+}
+
+test('fixture corpus', async t => {
+    const reports = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.txt'));
+    assert.ok(reports.length > 0, 'no fixtures found');
+
+    for (const file of reports) {
+        await t.test(file, () => {
+            const text = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+            const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, file.replace(/\.txt$/, '.json')), 'utf8'));
+            assert.deepEqual(parseLabReport(text).map(summarize), expected);
+        });
+    }
+});
+
+// [line, [key, value, unit] of every expected result]
+const LINES = [
+    // Names that contain another test's name
+    ['Hemoglobin A1c 6.1 %', [['hba1c', 6.1, '%']]],
+    ['HEMOGLOBIN A1C (HbA1c) 6.1 %', [['hba1c', 6.1, '%']]],
+    ['Hemoglobin, Glycated (A1C) 6.1 %', [['hba1c', 6.1, '%']]],
+    ['Vitamin D, 25-Hydroxy 18 ng/mL', [['vitaminD', 18, 'ng/mL']]],
+    ['Vitamin D 25-OH 18 ng/mL', [['vitaminD', 18, 'ng/mL']]],
+    ['MCHC 33.1 g/dL', [['mchc', 33.1, 'g/dL']]],
+    ['Direct Bilirubin 0.2 mg/dL', []],
+    // A number inside or joined to a word is part of the name, never the result
+    ['Hemoglobin X2 5.0 g/dL', []],
+    ['Glucose, 2-hour 140 mg/dL', []],
+    ['Repeat TSH after 6-8 weeks', []],
+    // Short aliases only count at the start of a label, never after a number
+    ['Glucose 95 mg/dL', [['glucose', 95, 'mg/dL']]],
+    ['Metformin 500 mg twice daily', []],
+    ['K 4.2 mmol/L   Na 139 mmol/L', [['potassium', 4.2, 'mmol/L'], ['sodium', 139, 'mmol/L']]],
+    // ... but a short alias right after another test's result is the next test
+    ['Na 138 K 6.9 Cl 100', [['sodium', 138, null], ['potassium', 6.9, null], ['chloride', 100, null]]],
+    ['Hb 13.5 Na 140', [['hemoglobin', 13.5, null], ['sodium', 140, null]]],
+    // Layout details
+    ['Total Leukocyte Count 7,800 /cumm', [['wbc', 7800, '/cumm']]],
+    ['ALT                                           48   H    U/L    6-29', [['alt', 48, 'U/L']]],
+    ['CHOLESTEROL, TOTAL                  232 H     <200 mg/dL', [['totalCholesterol', 232, 'mg/dL']]]
+];
+
+test('single lines', async t => {
+    for (const [line, expected] of LINES) {
+        await t.test(line, () => {
+            assert.deepEqual(parseLabReport(line).map(result => [result.key, result.value, result.unit]), expected);
+        });
+    }
+});
+
+test('flags', async t => {
+    const flagOf = line => parseLabReport(line)[0].flag;
+
+    await t.test('letters and words', () => {
+        assert.equal(flagOf('Potassium 5.8 H mmol/L 3.5 - 5.1'), 'H');
+        assert.equal(flagOf('Hemoglobin 9.1 g/dL 13.0 - 17.0 Low'), 'L');
+        assert.equal(flagOf('Potassium 6.9 HH mmol/L 3.5 - 5.1'), 'HH');
+        assert.equal(flagOf('Glucose 38 Critical Low mg/dL 70 - 99'), 'LL');
+    });
+
+    await t.test('"*" has no direction and is left to the range', () => {
+        assert.equal(flagOf('Potassium 3.1 mmol/L 3.5 - 5.1 *'), null);
+        assert.equal(flagOf('Potassium 3.1 * mmol/L 3.5 - 5.1'), null);
+    });
+});
+
+test('repeated tests are numbered, exact repeats dropped', () => {
+    const results = parseLabReport([
+        'Troponin I 18 ng/L',
+        'Troponin I 96 ng/L',
+        'Troponin I 18 ng/L'
+    ].join('\n'));
+    assert.deepEqual(results.map(result => [result.value, result.occurrence, result.occurrences]), [[18, 1, 2], [96, 2, 2]]);
+});
+
+test('serial readings with the same value are all kept', () => {
+    const results = parseLabReport([
+        '08:00 Glucose 95 mg/dL',
+        '10:00 Glucose 95 mg/dL',
+        '12:00 Glucose 95 mg/dL'
+    ].join('\n'));
+    assert.deepEqual(results.map(result => [result.value, result.occurrence]), [[95, 1], [95, 2], [95, 3]]);
+});
+
+test('a note quoting a result is not another reading', () => {
+    const results = parseLabReport([
+        'Potassium 6.8 HH mmol/L 3.5 - 5.1',
+        'Critical value (K 6.8 mmol/L) phoned to Dr. Mehta at 03:55.'
+    ].join('\n'));
+    assert.equal(results.length, 1);
+});
+
+test('identifyTest maps printed names to catalog keys', () => {
+    assert.equal(identifyTest('Hemoglobin A1c'), 'hba1c');
+    assert.equal(identifyTest('Vitamin D, 25-Hydroxy'), 'vitaminD');
+    assert.equal(identifyTest('Serum Creatinine'), 'creatinine');
+    assert.equal(identifyTest('SGPT (ALT)'), 'alt');
+    assert.equal(identifyTest('Something else'), null);
+});
@@ -0,0 +1,66 @@
+// Longitudinal results: lib/observations.js and the parameter routes that read them
+// Results go in as an HL7 ORU^R01 message, so they are stored the way a lab's results are.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parameterKey } = require('../lib/observations');
+const { startServer } = require('./helpers/server');
+
+const API_KEY = 'test-api-key';
+
+function oruMessage(userId, controlId, results) {
+    return [
+        `MSH|^~\\&|LIS|City Lab|HealthEye|HealthEye|20240312083000||ORU^R01|${controlId}|P|2.5.1`,
+        `PID|1||${userId}^^^CityLab^MR||Doe^Jane||19800101|F`,
+        'OBR|1|ORD1|FIL1|^Check-up|||20240312080000',
+        ...results.map((result, index) => `OBX|${index + 1}|${result}|||||F`)
+    ].join('\r');
+}
+
+test('parameterKey', async t => {
+    await t.test('keeps catalog keys as they are', () => {
+        assert.equal(parameterKey('systolicBloodPressure'), 'systolicBloodPressure');
+        assert.equal(parameterKey('ldl'), 'ldl');
+    });
+
+    await t.test('maps printed names to catalog keys', () => {
+        assert.equal(parameterKey('LDL Cholesterol'), 'ldl');
+        assert.equal(parameterKey('Systolic BP'), 'systolicBloodPressure');
+        assert.equal(parameterKey('Diastolic blood pressure'), 'diastolicBloodPressure');
+    });
+
+    await t.test('slugs names outside the catalog', () => {
+        assert.equal(parameterKey('Omega-3 Index'), 'omega-3-index');
+        assert.equal(parameterKey('toString'), 'tostring');
+    });
+});
+
+test('every listed parameter has a trend', async t => {
+    const server = await startServer({ API_KEYS: `svc:${API_KEY}`, JWT_SECRET: 'test-jwt-secret' });
+    t.after(() => server.close());
+    const headers = { 'X-API-Key': API_KEY, 'Content-Type': 'application/hl7-v2' };
+
+    const message = oruMessage('carol', 'MSG-1', [
+        'NM|2345-7^Glucose^LN||104|mg/dL|70-99|H',
+        'NM|2093-3^Cholesterol^LN||212|mg/dL|<200|H',
+        'ST|^Blood Pressure||128/84|mm[Hg]',
+        'NM|^Omega-3 Index||3.2'
+    ]);
+    const sent = await server.request('POST', '/api/hl7/oru', { headers, body: message });
+    assert.equal(sent.status, 200);
+    assert.match(sent.body, /MSA\|AA/);
+
+    const listed = await server.request('GET', '/api/users/carol/parameters', { headers: { 'X-API-Key': API_KEY } });
+    assert.equal(listed.status, 200);
+    const keys = listed.body.parameters.map(parameter => parameter.key);
+    assert.ok(keys.includes('systolicBloodPressure') && keys.includes('diastolicBloodPressure'), `blood pressure missing from ${keys}`);
+
+    for (const key of keys) {
+        await t.test(key, async () => {
+            const trend = await server.request('GET', `/api/users/carol/parameters/${encodeURIComponent(key)}/trend`, { headers: { 'X-API-Key': API_KEY } });
+            assert.equal(trend.status, 200);
+            assert.equal(trend.body.parameter.key, key);
+            assert.equal(trend.body.count, 1);
+        });
+    }
+});
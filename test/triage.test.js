@@ -0,0 +1,121 @@
+// Red-flag triage of chat messages: lib/triage.js
+// Each row is a message and the red flags it must raise; [] means the message is routine.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LEVEL, regionOf, triageMessage } = require('../lib/triage');
+
+// [message, ids of the red flags expected]
+const MESSAGES = [
+    // Plain red flags
+    ['I have chest pain', ['chestPain']],
+    ['I fainted yesterday', ['fainting']],
+    ['chest pain and I fainted', ['chestPain', 'fainting']],
+    ['What is a normal HbA1c?', []],
+
+    // Negations
+    ['no chest pain', []],
+    ['No chest pain today', []],
+    ["I don't have shortness of breath", []],
+    ['I’m not having chest pain', []],
+    ["I haven't had chest pain since Monday", []],
+    ['I never had a seizure', []],
+    ['denies chest pain or shortness of breath', []],
+    ['no fever or chest pain', []],
+    // ... only reach a few words ahead
+    ['no headache, cough, fever or chest pain', ['chestPain']],
+
+    // Clause breaks end a negation
+    ['no fever but chest pain', ['chestPain']],
+    ['no energy and chest pain', ['chestPain']],
+    ['no fever, chest pain since morning', ['chestPain']],
+    ['No chest pain. Passed out this morning', ['fainting']],
+
+    // Pseudo-negations are not negations
+    ['not sure if this is chest pain', ['chestPain']],
+    ['no idea why my chest hurts', ['chestPain']],
+    ["I can't tell if it's chest pain", ['chestPain']],
+    ['no doubt I have chest pain', ['chestPain']],
+    ['Without warning I got crushing chest pain', ['chestPain']],
+    ['there is no way to stop my chest pain', ['chestPain']],
+    ['Not long after dinner I got chest pain', ['chestPain']],
+    ['Never thought I would get chest pain', ['chestPain']],
+
+    // Comparisons and changes end a negation
+    ['I never had chest pain like this before', ['chestPain']],
+    ['I have never felt chest pain this bad', ['chestPain']],
+    ['I did not have chest pain until an hour ago', ['chestPain']],
+    ['I had no chest pain until I climbed the stairs', ['chestPain']],
+    ['I never have chest pain', []],
+
+    // Self-harm always escalates, negated or not
+    ['I am not suicidal', ['selfHarm']],
+    ["I don't want to kill myself", ['selfHarm']],
+
+    // Combined flags look across the whole message
+    ['stiff neck and a fever', ['stiffNeckFever']],
+    ['Fever since yesterday. Now a stiff neck', ['stiffNeckFever']],
+    ['no stiff neck, but fever', []],
+    ['I am pregnant and bleeding', ['pregnancyBleeding']]
+];
+
+test('red flags', async t => {
+    for (const [message, expected] of MESSAGES) {
+        await t.test(message, () => {
+            assert.deepEqual(triageMessage(message).redFlags.map(flag => flag.id), expected);
+        });
+    }
+});
+
+test('the level is the worst red flag', () => {
+    assert.equal(triageMessage('What does LDL mean?').level, LEVEL.ROUTINE);
+    assert.equal(triageMessage('I fainted yesterday').level, LEVEL.URGENT);
+    assert.equal(triageMessage('I fainted and now have chest pain').level, LEVEL.EMERGENCY);
+});
+
+test('routine messages get no contacts or escalation text', () => {
+    const result = triageMessage('no chest pain, just a question about cholesterol');
+    assert.equal(result.contacts, null);
+    assert.equal(result.message, null);
+});
+
+// [locale, region]
+const LOCALES = [
+    ['en-IN', 'IN'],
+    ['en_gb', 'GB'],
+    ['hi-IN-u-nu-latn', 'IN'],
+    ['zh-Hant-TW', 'TW'],
+    ['US', 'US'],
+    ['en', null],
+    ['us', null],
+    ['es-419', null],
+    ['', null],
+    [undefined, null]
+];
+
+test('regionOf', async t => {
+    for (const [locale, region] of LOCALES) {
+        await t.test(String(locale), () => {
+            assert.equal(regionOf(locale), region);
+        });
+    }
+});
+
+test('contacts follow the locale', async t => {
+    await t.test('a region with its own numbers', () => {
+        const result = triageMessage('I want to kill myself', { locale: 'en-IN' });
+        assert.equal(result.region, 'IN');
+        assert.equal(result.contacts.crisis.name, 'Tele-MANAS');
+        assert.ok(result.message.includes('Tele-MANAS'));
+    });
+
+    await t.test('a region without numbers gets the international entry', () => {
+        const result = triageMessage('chest pain', { locale: 'fr-FR' });
+        assert.equal(result.region, null);
+        assert.match(result.contacts.emergency.number, /112/);
+    });
+
+    await t.test('a locale without a region falls back to the default region', () => {
+        assert.equal(triageMessage('chest pain', { locale: 'en', defaultRegion: 'gb' }).region, 'GB');
+    });
+});
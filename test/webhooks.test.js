@@ -0,0 +1,159 @@
+// Outbound webhooks: lib/webhooks.js delivering to a real HTTP receiver
+// The receiver answers each path with the status codes queued for it (200 once they run out) and
+// records every request, so signing, retries, dead-lettering and replay are seen as a receiver sees them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./helpers/quietLogs');
+const { createMemoryStorage } = require('../lib/storage');
+const { EVENTS, STATUS, SIGNATURE_HEADER, verifySignature, createWebhookDispatcher } = require('../lib/webhooks');
+
+const SECRET = 'test-webhook-secret';
+const RETRY_DELAY_MS = 40;
+const MAX_ATTEMPTS = 3;
+
+async function startReceiver() {
+    const answers = {};
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8'), at: Date.now() });
+            const queued = answers[req.url] || [];
+            res.statusCode = queued.length > 0 ? queued.shift() : 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        received,
+        // Receiver URL for path; its first requests get the given status codes
+        url(path, statuses = []) {
+            answers[path] = statuses.slice();
+            return `${baseUrl}${path}`;
+        },
+        requestsTo: path => received.filter(request => request.path === path),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Retry timers are unref'd and run in the background, so tests wait for the stored delivery instead
+async function waitFor(storage, deliveryId, done, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const delivery = await storage.getWebhookDelivery(deliveryId);
+        if (delivery && done(delivery)) return delivery;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Delivery ${deliveryId} did not settle in time`);
+}
+
+const settled = delivery => delivery.status !== STATUS.PENDING;
+
+test('webhook delivery', async t => {
+    const receiver = await startReceiver();
+    t.after(() => receiver.close());
+
+    const dispatcher = (path, statuses, options = {}) => {
+        const storage = createMemoryStorage();
+        const webhooks = createWebhookDispatcher({
+            storage,
+            urls: [receiver.url(path, statuses)],
+            secret: SECRET,
+            maxAttempts: MAX_ATTEMPTS,
+            retryDelayMs: RETRY_DELAY_MS,
+            ...options
+        });
+        return { storage, webhooks };
+    };
+
+    await t.test('deliveries are signed over the raw body', async () => {
+        const { storage, webhooks } = dispatcher('/signed', []);
+        const [delivery] = await webhooks.emit(EVENTS.LAB_CRITICAL, { key: 'potassium', value: 6.9 }, { key: 'upload-1' });
+        await waitFor(storage, delivery.id, settled);
+
+        const [request] = receiver.requestsTo('/signed');
+        const header = request.headers[SIGNATURE_HEADER.toLowerCase()];
+        assert.equal(verifySignature(SECRET, request.body, header), true);
+        assert.equal(verifySignature('another-secret', request.body, header), false);
+        assert.equal(verifySignature(SECRET, request.body.replace('6.9', '3.9'), header), false);
+        assert.equal(verifySignature(SECRET, request.body, header, { now: Date.now() + 10 * 60 * 1000 }), false);
+
+        assert.equal(request.headers['x-healtheye-event'], EVENTS.LAB_CRITICAL);
+        assert.equal(request.headers['x-healtheye-delivery'], delivery.id);
+        const event = JSON.parse(request.body);
+        assert.equal(event.type, EVENTS.LAB_CRITICAL);
+        assert.deepEqual(event.data, { key: 'potassium', value: 6.9 });
+    });
+
+    await t.test('a failed delivery is retried with backoff until it succeeds', async () => {
+        const { storage, webhooks } = dispatcher('/flaky', [500, 503]);
+        const [delivery] = await webhooks.emit(EVENTS.REPORT_URGENT, { reportId: 'r1' }, { key: 'r1' });
+        const done = await waitFor(storage, delivery.id, settled);
+
+        assert.equal(done.status, STATUS.DELIVERED);
+        assert.equal(done.attempts, 3);
+        assert.equal(done.lastError, null);
+        const requests = receiver.requestsTo('/flaky');
+        assert.equal(requests.length, 3);
+        assert.ok(requests.every(request => request.headers['x-healtheye-delivery'] === delivery.id));
+        assert.ok(requests.every(request => request.body === requests[0].body), 'retries resend the same event');
+        // The wait doubles after every failed attempt
+        assert.ok(requests[1].at - requests[0].at >= RETRY_DELAY_MS - 5);
+        assert.ok(requests[2].at - requests[1].at >= 2 * RETRY_DELAY_MS - 5);
+    });
+
+    await t.test('a delivery is dead-lettered after maxAttempts and can be replayed', async () => {
+        const { storage, webhooks } = dispatcher('/down', [500, 500, 500]);
+        const [delivery] = await webhooks.emit(EVENTS.REPORT_URGENT, { reportId: 'r2' }, { key: 'r2' });
+        const failed = await waitFor(storage, delivery.id, settled);
+
+        assert.equal(failed.status, STATUS.FAILED);
+        assert.equal(failed.attempts, MAX_ATTEMPTS);
+        assert.equal(failed.lastStatusCode, 500);
+        assert.equal(failed.lastError, 'Receiver answered HTTP 500');
+        assert.equal(receiver.requestsTo('/down').length, MAX_ATTEMPTS);
+        assert.deepEqual((await webhooks.listDeadLetters()).map(dead => dead.id), [delivery.id]);
+
+        // The receiver is back: a replay starts a fresh set of attempts
+        const replayed = await webhooks.replay(delivery.id);
+        assert.equal(replayed.replays, 1);
+        const delivered = await waitFor(storage, delivery.id, settled);
+        assert.equal(delivered.status, STATUS.DELIVERED);
+        assert.equal(delivered.attempts, 1);
+        assert.equal(receiver.requestsTo('/down').length, MAX_ATTEMPTS + 1);
+        assert.deepEqual(await webhooks.listDeadLetters(), []);
+    });
+
+    await t.test('only failed deliveries can be replayed', async () => {
+        const { storage, webhooks } = dispatcher('/replay-errors', []);
+        const [delivery] = await webhooks.emit(EVENTS.REPORT_URGENT, { reportId: 'r3' }, { key: 'r3' });
+        await waitFor(storage, delivery.id, settled);
+
+        await assert.rejects(webhooks.replay(delivery.id), error => error.notReplayable === true);
+        assert.equal(await webhooks.replay('no-such-delivery'), null);
+    });
+
+    await t.test('the same event is delivered once', async () => {
+        const { storage, webhooks } = dispatcher('/once', []);
+        const [first] = await webhooks.emit(EVENTS.LAB_CRITICAL, { key: 'glucose' }, { key: 'upload-2' });
+        const [again] = await webhooks.emit(EVENTS.LAB_CRITICAL, { key: 'glucose' }, { key: 'upload-2' });
+        assert.equal(again.id, first.id);
+        await waitFor(storage, first.id, settled);
+        assert.equal(receiver.requestsTo('/once').length, 1);
+    });
+
+    await t.test('nothing is sent without a secret or for events not subscribed to', async () => {
+        const unsigned = dispatcher('/unsigned', [], { secret: '' });
+        assert.equal(unsigned.webhooks.enabled, false);
+        assert.deepEqual(await unsigned.webhooks.emit(EVENTS.LAB_CRITICAL, {}, { key: 'k' }), []);
+
+        const filtered = dispatcher('/filtered', [], { events: [EVENTS.REPORT_URGENT] });
+        assert.deepEqual(await filtered.webhooks.emit(EVENTS.LAB_CRITICAL, {}, { key: 'k' }), []);
+        assert.equal(receiver.requestsTo('/unsigned').length + receiver.requestsTo('/filtered').length, 0);
+    });
+});